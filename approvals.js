@@ -0,0 +1,143 @@
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import config from "./config.js";
+import * as approvals from "./lib/approvals.js";
+
+// Review drafts queued by the strategies in config.approval.strategies.
+// Usage: node approvals.js <command>
+//   list [--all]                        pending drafts (--all: every status)
+//   show <id>                           a draft with its target and context
+//   edit <id> [--title T] [--content C] without flags, opens $EDITOR
+//   approve <id>...                     published on the bot's next cycle
+//   reject <id>... [--reason R]
+
+function parseArgs(argv) {
+  const args = { command: argv[0], ids: [], all: false, title: undefined, content: undefined, reason: undefined };
+  for (let i = 1; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = () => inline ?? argv[++i];
+    if (flag === "--all") args.all = true;
+    else if (flag === "--title") args.title = value();
+    else if (flag === "--content") args.content = value();
+    else if (flag === "--reason") args.reason = value();
+    else if (flag.startsWith("--")) throw new Error(`Unknown option ${argv[i]}`);
+    else args.ids.push(argv[i]);
+  }
+  return args;
+}
+
+// --- Output ---
+
+function duration(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  return hours < 1 ? `${Math.round(hours * 60)}m` : `${hours.toFixed(1)}h`;
+}
+
+function target(draft) {
+  const { submolt, postTitle, parentId } = draft.target;
+  if (draft.kind === "post") return `m/${submolt}`;
+  return `${parentId ? `reply to ${draft.context?.inReplyTo?.author || parentId} ` : ""}on "${(postTitle || draft.target.postId).slice(0, 50)}"`;
+}
+
+function printList(drafts, all) {
+  if (!drafts.length) {
+    console.log(all ? "The approval queue is empty." : "No drafts waiting for review.");
+    return;
+  }
+  for (const d of drafts) {
+    const status = d.status === "pending" ? `expires in ${duration(Date.parse(d.expiresAt) - Date.now())}` : d.status;
+    console.log(`${d.id}  ${d.kind.padEnd(7)}  ${d.strategy.padEnd(20)}  ${duration(Date.now() - Date.parse(d.createdAt)).padStart(6)} old  ${status}`);
+    console.log(`    ${d.persona ? `as ${d.persona}, ` : ""}${target(d)}`);
+    console.log(`    ${(d.title ? `${d.title} — ${d.content}` : d.content).replace(/\s+/g, " ").slice(0, 100)}`);
+  }
+}
+
+function printDraft(d) {
+  console.log(`Draft ${d.id} (${d.status})`);
+  console.log(`  ${d.kind} from ${d.strategy}${d.persona ? ` as ${d.persona}` : ""}, ${target(d)}`);
+  console.log(`  Created ${d.createdAt}, expires ${d.expiresAt}${d.editedAt ? `, edited ${d.editedAt}` : ""}`);
+  if (d.variant) console.log(`  Prompt variant ${d.variant}`);
+  if (d.reason) console.log(`  Rejected: ${d.reason}`);
+  if (d.error) console.log(`  Failed: ${d.error}`);
+  if (d.title) console.log(`\nTITLE\n  ${d.title}`);
+  console.log(`\nTEXT\n  ${d.content.replace(/\n/g, "\n  ")}`);
+  const { inReplyTo, thread, ...rest } = d.context || {};
+  if (thread?.length) console.log(`\nTHREAD\n${thread.map((c) => `  ${c.author}: ${c.content}`).join("\n")}`);
+  if (inReplyTo) console.log(`\nIN REPLY TO ${inReplyTo.author}\n  ${inReplyTo.content}`);
+  const shown = Object.entries(rest).filter(([, v]) => v != null && v !== "");
+  if (shown.length) console.log(`\nCONTEXT\n${shown.map(([k, v]) => `  ${k}: ${Array.isArray(v) ? v.join(" | ") : v}`).join("\n")}`);
+}
+
+// --- Editing ---
+
+// Posts are edited as "title, blank line, body"; comments as plain text
+function editInEditor(draft) {
+  const file = path.join(os.tmpdir(), `moltbot-draft-${draft.id}.txt`);
+  fs.writeFileSync(file, draft.kind === "post" ? `${draft.title}\n\n${draft.content}\n` : `${draft.content}\n`);
+  try {
+    const editor = process.env.VISUAL || process.env.EDITOR || "vi";
+    const result = spawnSync(editor, [file], { stdio: "inherit", shell: true });
+    if (result.status !== 0) throw new Error(`${editor} exited with status ${result.status}`);
+    const text = fs.readFileSync(file, "utf8").trim();
+    if (draft.kind !== "post") return { content: text };
+    const [title, ...body] = text.split("\n");
+    return { title: title.trim(), content: body.join("\n").trim() };
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+// --- Commands ---
+
+function requireIds(args, usage) {
+  if (!args.ids.length) throw new Error(`Usage: node approvals.js ${usage}`);
+  return args.ids;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Only our own output on the console
+  config.logging.level = "warn";
+  approvals.expire();
+
+  switch (args.command) {
+    case "list":
+    case undefined:
+      printList(approvals.list(args.all ? null : "pending"), args.all);
+      break;
+    case "show":
+      printDraft(approvals.get(requireIds(args, "show <id>")[0]));
+      break;
+    case "edit": {
+      const [id] = requireIds(args, "edit <id> [--title T] [--content C]");
+      const changes = args.title === undefined && args.content === undefined
+        ? editInEditor(approvals.get(id))
+        : { title: args.title, content: args.content };
+      printDraft(approvals.edit(id, changes));
+      break;
+    }
+    case "approve":
+      for (const id of requireIds(args, "approve <id>...")) {
+        approvals.approve(id);
+        console.log(`Approved ${id}; it goes out on the bot's next cycle.`);
+      }
+      break;
+    case "reject":
+      for (const id of requireIds(args, "reject <id>... [--reason R]")) {
+        approvals.reject(id, args.reason);
+        console.log(`Rejected ${id}.`);
+      }
+      break;
+    default:
+      throw new Error(`Unknown command "${args.command}" (expected list, show, edit, approve or reject)`);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("Error:", err.message);
+  process.exit(1);
+}
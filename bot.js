@@ -1,103 +1,511 @@
 import "dotenv/config";
-import config from "./config.js";
+import config, { watchConfig } from "./config.js";
 import * as moltbook from "./strategies/moltbook/index.js";
-const MODES = [
-  {
-    name: "moltbook-growth",
-    enabled: true,
-    cycleHours: 4,
-    module: moltbook,
-    strategies: {
-      bootstrapMemory: true,
-      subscribeToSubmolts: false,
-      replyToComments: false,
-      networkWithTopAgents: false,
-      upvoteGoodContent: false,
-      createViralPost: true,
-      commentOnHotPosts: false,
-      commentOnSubmolts: false,
-    },
-  },
-];
+import * as chatroom from "./strategies/chatroom/index.js";
+import { setBaseUrl, warnMissingCredentials } from "./lib/api.js";
+import { startAdminServer } from "./lib/admin.js";
+import * as approvals from "./lib/approvals.js";
+import * as llm from "./lib/llm.js";
+import { log, withContext } from "./lib/logger.js";
+import * as personas from "./lib/personas.js";
+import * as prompts from "./lib/prompts.js";
+import * as relationships from "./lib/relationships.js";
+import * as schedule from "./lib/schedule.js";
+import { requestStop, stopping } from "./lib/shutdown.js";
+import { closeStores, openStore } from "./lib/state.js";
+import { mockKey, startMockServer } from "./mock/moltbook.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Mode modules that config.modes[].module can name; create(agentName) makes
+// one instance of the mode per persona
+const MODULES = { moltbook };
+
+// Catches config the schema can't: unknown modules and strategy names, bad
+// schedules and time zones, personas that clash
+function checkStrategies(cfg) {
+  const problems = [...personas.checkPersonas(cfg)];
+  for (const name of Object.keys(cfg.chatroom?.strategies || {})) {
+    if (!chatroom.STRATEGIES.includes(name)) {
+      problems.push(`config.chatroom.strategies.${name}: unknown chatroom strategy (expected one of: ${chatroom.STRATEGIES.join(", ")})`);
+    }
+  }
+  const moduleStrategies = Object.values(MODULES).flatMap((m) => m.STRATEGIES);
+  cfg.approval.strategies.forEach((name, i) => {
+    if (!moduleStrategies.includes(name)) {
+      problems.push(`config.approval.strategies[${i}]: unknown strategy "${name}" (expected one of: ${moduleStrategies.join(", ")})`);
+    }
+  });
+  // Personas that inherit the top-level modes were checked with them
+  const modeLists = [["config.modes", cfg.modes], ...cfg.personas.map((p, i) => [`config.personas[${i}].modes`, p.modes]).filter(([, modes]) => modes)];
+  for (const [path, modes] of modeLists) checkModes(path, modes, problems);
+  if (!schedule.checkTimezone(cfg.schedule.timezone)) problems.push(`config.schedule.timezone: unknown time zone "${cfg.schedule.timezone}"`);
+  return problems;
+}
+
+function checkModes(path, modes, problems) {
+  modes.forEach((mode, i) => {
+    const module = MODULES[mode.module];
+    if (!module) {
+      problems.push(`${path}[${i}].module: unknown module "${mode.module}" (expected one of: ${Object.keys(MODULES).join(", ")})`);
+      return;
+    }
+    for (const name of Object.keys(mode.strategies)) {
+      if (!module.STRATEGIES.includes(name)) {
+        problems.push(`${path}[${i}].strategies.${name}: unknown ${mode.module} strategy (expected one of: ${module.STRATEGIES.join(", ")})`);
+      }
+    }
+    for (const [name, spec] of Object.entries(mode.schedule)) {
+      const at = `${path}[${i}].schedule.${name}`;
+      if (!module.STRATEGIES.includes(name)) problems.push(`${at}: unknown ${mode.module} strategy`);
+      if (spec.cron && spec.everyHours) problems.push(`${at}: use either cron or everyHours, not both`);
+      if (spec.cron) {
+        try { schedule.parseCron(spec.cron); } catch (err) { problems.push(`${at}.cron: ${err.message}`); }
+      }
+    }
+  });
+}
+
+// --- Personas and their mode instances ---
+
+// "<agentName>/<module>" -> { agentName, instance }
+const instances = new Map();
+
+function instanceFor(profile, moduleName) {
+  const key = `${profile.agentName}/${moduleName}`;
+  if (!instances.has(key)) instances.set(key, { agentName: profile.agentName, instance: MODULES[moduleName].create(profile.agentName) });
+  return instances.get(key).instance;
+}
 
-function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
+function enabledModes(profile) {
+  return profile.modes.filter((m) => m.enabled).map((m) => ({ ...m, module: instanceFor(profile, m.module) }));
 }
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+// --- Runtime pauses (admin server), persisted across restarts ---
+
+const pausedStrategies = new Set();
+let store = null;
+
+function knownStrategies() {
+  return new Set([...chatroom.STRATEGIES, ...Object.values(MODULES).flatMap((m) => m.STRATEGIES)]);
+}
+
+function activeStrategies(mode) {
+  return Object.fromEntries(Object.entries(mode.strategies).map(([name, on]) => [name, on && !pausedStrategies.has(name)]));
+}
+
+function setPaused(name, paused) {
+  if (!knownStrategies().has(name)) {
+    const err = new Error(`Unknown strategy "${name}"`);
+    err.status = 404;
+    throw err;
+  }
+  if (paused) pausedStrategies.add(name);
+  else pausedStrategies.delete(name);
+  chatroom.setPaused(pausedStrategies);
+  store?.set("admin", { pausedStrategies: [...pausedStrategies] });
+  log(`Strategy ${name} ${paused ? "paused" : "resumed"}`);
+  return { paused: [...pausedStrategies] };
+}
+
+// --- Strategy schedules ---
+
+const scheduleKey = (mode, name) => `${mode.name}/${name}`;
+
+// Strategies without their own schedule run every cycleHours
+function strategySchedule(mode, name) {
+  const own = mode.schedule[name] || {};
+  return own.cron || own.everyHours ? own : { ...own, everyHours: mode.cycleHours };
+}
+
+// The active strategies of `mode` that are due now (all of them when forced)
+function dueStrategies(mode, now, force) {
+  return Object.fromEntries(Object.entries(activeStrategies(mode)).map(([name, on]) => [
+    name,
+    on && (force || schedule.dueAt(scheduleKey(mode, name), strategySchedule(mode, name), now) <= now),
+  ]));
+}
+
+// --- Cycles ---
+//
+// While a cycle runs, its number and the strategies it has yet to finish
+// ("<agentName>/<mode>/<strategy>") are checkpointed in the "cycle"
+// namespace. Each strategy is marked as run as soon as it finishes, so a
+// cycle cut short by a shutdown or a crash is resumed with what's left on
+// the next start instead of starting over.
+
 let cycleCount = 0;
+let cycleRunning = false;
+const lastCycle = { startedAt: null, finishedAt: null, error: null };
+// The checkpoint of a cycle the previous process didn't finish
+let interrupted = null;
 
-async function runCycle() {
-  log(`\n========== CYCLE ${cycleCount + 1} ==========\n`);
+function saveCycle(current) {
+  store?.set("cycle", { count: cycleCount, current });
+}
 
-  for (const mode of MODES) {
-    if (!mode.enabled) continue;
-    log(`--- Running mode: ${mode.name} ---`);
-    await mode.module.run(mode.strategies, cycleCount);
+const cycleKey = (profile, mode, name) => `${profile.agentName}/${mode.name}/${name}`;
+
+// The strategies of an interrupted cycle that are still active
+function resumedStrategies(profile, mode, remaining) {
+  return Object.fromEntries(Object.entries(activeStrategies(mode)).map(([name, on]) => [name, on && remaining.includes(cycleKey(profile, mode, name))]));
+}
+
+// Runs the strategies that are due, or every active one with `force` (dry
+// runs and the admin trigger), or what's left of an interrupted cycle with
+// `resume`. Returns false if nothing ran.
+async function runCycle({ force = false, resume = null } = {}) {
+  if (cycleRunning) {
+    log("Cycle already running, skipping");
+    return false;
   }
+  const now = Date.now();
+  const plan = personas.profiles().flatMap((profile) => personas.withPersona(profile, () => enabledModes(profile)
+    .map((mode) => ({ profile, mode, strategies: resume ? resumedStrategies(profile, mode, resume.remaining) : dueStrategies(mode, now, force) }))
+    .filter(({ strategies }) => Object.values(strategies).some(Boolean))));
+  // Whatever runs next supersedes the interrupted cycle
+  interrupted = null;
+  if (!plan.length) {
+    if (resume) saveCycle(null);
+    return false;
+  }
+
+  cycleRunning = true;
+  lastCycle.startedAt = new Date().toISOString();
+  const remaining = new Set(plan.flatMap(({ profile, mode, strategies }) => Object.keys(strategies).filter((name) => strategies[name]).map((name) => cycleKey(profile, mode, name))));
+  const checkpoint = () => saveCycle({ number: cycleCount + 1, startedAt: lastCycle.startedAt, remaining: [...remaining] });
+  checkpoint();
+  log(`\n========== CYCLE ${cycleCount + 1}${resume ? " (resumed)" : ""} ==========\n`);
 
-  cycleCount++;
+  try {
+    await withContext({ cycle: cycleCount + 1 }, async () => {
+      // One persona failing (a revoked key, say) doesn't stop the others
+      const failures = [];
+      for (const { profile, mode, strategies } of plan) {
+        if (stopping()) break;
+        const due = Object.keys(strategies).filter((name) => strategies[name]);
+        const finished = (name) => {
+          schedule.markRan(scheduleKey(mode, name), strategySchedule(mode, name));
+          remaining.delete(cycleKey(profile, mode, name));
+          checkpoint();
+        };
+        await personas.withPersona(profile, async () => {
+          log(`--- Running mode: ${mode.name} (${due.join(", ")}) ---`);
+          try {
+            await withContext({ mode: mode.name }, () => mode.module.run(strategies, finished));
+          } catch (err) {
+            failures.push(`${profile.agentName}/${mode.name}: ${err.message}`);
+          } finally {
+            // Even a failed run waits for its next slot instead of retrying
+            // every tick; only a shutdown leaves strategies for the resume
+            if (!stopping()) for (const name of due) if (remaining.has(cycleKey(profile, mode, name))) finished(name);
+          }
+        });
+      }
+      if (failures.length) throw new Error(failures.join("; "));
+    });
+    if (remaining.size) {
+      log(`Cycle ${cycleCount + 1} stopped for shutdown; left for the restart: ${[...remaining].join(", ")}`);
+      return true;
+    }
+    cycleCount++;
+    lastCycle.error = null;
+  } catch (err) {
+    lastCycle.error = err.message;
+    throw err;
+  } finally {
+    cycleRunning = false;
+    lastCycle.finishedAt = new Date().toISOString();
+    if (!remaining.size || !stopping()) saveCycle(null);
+  }
   log(`\n========== CYCLE ${cycleCount} COMPLETE ==========`);
+  return true;
 }
 
-async function main() {
-  log(`=== ${config.agentName} Bot Starting ===`);
+// --- Dry run: one offline cycle against the bundled mock server ---
 
-  for (const mode of MODES) {
-    if (!mode.enabled) continue;
-    const active = Object.entries(mode.strategies).filter(([, v]) => v).map(([k]) => k);
-    log(`Mode: ${mode.name} | Strategies: ${active.join(", ")}`);
-    await mode.module.init(cycleCount);
-  }
+async function startDryRun() {
+  const mock = await startMockServer({ agentName: config.agentName });
+  setBaseUrl(mock.apiBase);
+  // The mock tells personas apart by key; real keys never leave the process
+  for (const profile of personas.profiles()) process.env[profile.apiKeyEnv] = mockKey(profile.agentName);
+  process.env.ANTHROPIC_BASE_URL = mock.url;
+  process.env.ANTHROPIC_API_KEY ||= "dry-run-placeholder-key";
+  config.state = { backend: "memory" };
+  config.rateLimits = {};
+  config.solver = { ...config.solver, corpusPath: null };
+  config.injection = { ...config.injection, quarantinePath: null };
+  config.approval = { ...config.approval, queuePath: null };
+  log(`DRY RUN — Moltbook and Anthropic calls go to ${mock.url}`);
+  return mock;
+}
 
-  const enabledModes = MODES.filter((m) => m.enabled);
-  if (!enabledModes.length) {
-    log("No modes enabled. Idling.");
-    setInterval(() => {}, 60 * 60 * 1000);
+function printDryRunReport(published, queued) {
+  log("\n========== DRY RUN REPORT ==========");
+  // Who did it, once there is more than one persona to tell apart
+  const as = personas.profiles().length > 1 ? (name) => `[${name}] ` : () => "";
+  for (const draft of queued) {
+    const target = draft.kind === "post" ? `m/${draft.target.submolt}: "${draft.title}"` : `on "${draft.target.postTitle}"`;
+    log(`- ${as(draft.persona)}QUEUED FOR APPROVAL ${draft.kind.toUpperCase()} ${target}${draft.variant ? ` [${draft.variant}]` : ""}\n    ${draft.content.replace(/\n/g, "\n    ")}`);
+  }
+  if (!published.length) {
+    log("Nothing would have been published.");
     return;
   }
+  const counts = {};
+  for (const item of published) counts[item.type] = (counts[item.type] || 0) + 1;
+  log(`Would have published: ${Object.entries(counts).map(([type, n]) => `${n} ${type}`).join(", ")}`);
+
+  for (const item of published) {
+    const status = item.verified === false ? " (UNVERIFIED)" : "";
+    switch (item.type) {
+      case "post":
+        log(`- ${as(item.by)}POST m/${item.submolt}${status}: "${item.title}"\n    ${item.content.replace(/\n/g, "\n    ")}`);
+        break;
+      case "comment":
+        log(`- ${as(item.by)}COMMENT on "${item.postTitle}"${status}:\n    ${item.content}`);
+        break;
+      case "reply":
+        log(`- ${as(item.by)}REPLY to ${item.inReplyTo} on "${item.postTitle}"${status}:\n    ${item.content}`);
+        break;
+      case "upvote":
+        log(`- ${as(item.by)}UPVOTE ${item.postTitle ? `"${item.postTitle}"` : `comment ${item.commentId}`}`);
+        break;
+      case "follow":
+        log(`- ${as(item.by)}FOLLOW ${item.agent}`);
+        break;
+      case "subscribe":
+        log(`- ${as(item.by)}SUBSCRIBE m/${item.submolt}`);
+        break;
+    }
+  }
+}
+
+// --- Mode setup and scheduling ---
+
+const initializedModes = new Set();
+let tickTimer = null;
+let tickSeconds;
+let quiet = false;
+
+async function initModes() {
+  for (const profile of personas.profiles()) {
+    await personas.withPersona(profile, async () => {
+      await schedule.load();
+      for (const mode of enabledModes(profile)) {
+        const active = Object.entries(mode.strategies).filter(([, v]) => v).map(([k]) => k);
+        log(`Mode: ${mode.name} | Strategies: ${active.join(", ")}`);
+        const key = `${profile.agentName}/${mode.name}`;
+        if (initializedModes.has(key)) continue;
+        await mode.module.init();
+        initializedModes.add(key);
+      }
+    });
+  }
+}
+
+// Runs whatever is due, or first what's left of an interrupted cycle. A tick
+// that lands while a cycle is still running is skipped, so slow cycles never
+// stack.
+function tick() {
+  if (cycleRunning || stopping()) return;
+  const nowQuiet = schedule.inQuietHours();
+  if (nowQuiet !== quiet) {
+    quiet = nowQuiet;
+    const { start, end } = config.schedule.quietHours || {};
+    log(quiet ? `Quiet hours (${start}-${end} ${config.schedule.timezone}), strategies paused` : "Quiet hours over");
+  }
+  if (quiet) return;
+  runCycle({ resume: interrupted }).catch((err) => log.error(`Cycle error: ${err.message}`));
+}
+
+function scheduleCycles() {
+  if (!personas.profiles().some((p) => p.modes.some((m) => m.enabled))) log("No modes enabled. Idling until the config changes.");
+  if (config.schedule.tickSeconds === tickSeconds) return;
+  clearInterval(tickTimer);
+  tickSeconds = config.schedule.tickSeconds;
+  log(`Checking strategy schedules every ${tickSeconds}s\n`);
+  tickTimer = setInterval(tick, tickSeconds * 1000);
+}
+
+// --- Admin server ---
 
-  const interval = Math.min(...enabledModes.map((m) => m.cycleHours));
-  log(`Cycle interval: ${interval} hours\n`);
+const startedAt = Date.now();
 
-  // Chatroom keepalive — send a message every N minutes so the room stays alive
-  if (config.chatroom?.apiBase) {
-    const keepAliveMs = (config.chatroom.keepAliveMinutes || 10) * 60 * 1000;
-    log(`Chatroom keepalive: every ${config.chatroom.keepAliveMinutes || 10} min → ${config.chatroom.apiBase}`);
+async function modeStatus(profile, mode) {
+  const moduleStatus = mode.enabled ? await instanceFor(profile, mode.module).status() : null;
+  return {
+    name: mode.name,
+    module: mode.module,
+    enabled: mode.enabled,
+    cycleHours: mode.cycleHours,
+    strategies: Object.fromEntries(Object.entries(mode.strategies).map(([name, enabled]) => [
+      name,
+      {
+        enabled,
+        paused: pausedStrategies.has(name),
+        schedule: strategySchedule(mode, name),
+        nextRunAt: enabled ? schedule.nextRunAt(scheduleKey(mode, name)) : null,
+        lastRun: moduleStatus?.lastRuns[name] || null,
+      },
+    ])),
+    ...(moduleStatus && { agent: moduleStatus.agent, insights: moduleStatus.insights, trackedPosts: moduleStatus.trackedPosts, submolts: moduleStatus.submolts }),
+  };
+}
+
+async function statusReport() {
+  const agents = [];
+  for (const profile of personas.profiles()) {
+    await personas.withPersona(profile, async () => {
+      const modes = [];
+      for (const mode of profile.modes) modes.push(await modeStatus(profile, mode));
+      agents.push({ agentName: profile.agentName, primary: profile.primary, dailyCaps: schedule.capsUsed(), relationships: relationships.report(), modes });
+    });
+  }
+  return {
+    agentName: config.agentName,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    cycle: { count: cycleCount, running: cycleRunning, ...lastCycle },
+    schedule: { timezone: config.schedule.timezone, quietHours: config.schedule.quietHours || null, quietNow: schedule.inQuietHours() },
+    paused: [...pausedStrategies],
+    approvals: { pending: approvals.list("pending").length, approved: approvals.list("approved").length },
+    llm: llm.usageReport(),
+    personas: agents,
+    chatroom: config.chatroom?.enabled ? chatroom.status() : { enabled: false },
+  };
+}
+
+function recentContent(limit) {
+  const items = [
+    ...[...instances.values()].flatMap(({ agentName, instance }) => instance.recent().map((item) => ({ persona: agentName, ...item }))),
+    ...chatroom.recent().map((item) => ({ persona: config.agentName, ...item })),
+  ];
+  return { items: items.sort((a, b) => b.at.localeCompare(a.at)).slice(0, limit) };
+}
 
-    async function sendKeepAlive() {
+function triggerCycle() {
+  if (cycleRunning || stopping()) {
+    const err = new Error(stopping() ? "Shutting down" : "A cycle is already running");
+    err.status = 409;
+    throw err;
+  }
+  runCycle({ force: true }).catch((err) => log.error(`Cycle error: ${err.message}`));
+  return { started: true, cycle: cycleCount + 1 };
+}
+
+let admin = null;
+
+async function startAdmin() {
+  const { host, port, tokenEnv } = config.admin;
+  const token = process.env[tokenEnv];
+  admin = await startAdminServer({
+    host,
+    port,
+    token,
+    tokenEnv,
+    log,
+    handlers: {
+      health: () => ({ ok: true, uptimeSeconds: Math.round((Date.now() - startedAt) / 1000), lastCycleAt: lastCycle.finishedAt }),
+      status: statusReport,
+      content: recentContent,
+      pause: (name) => setPaused(name, true),
+      resume: (name) => setPaused(name, false),
+      triggerCycle,
+    },
+  });
+  log(`Admin server listening on ${admin.url}${token ? "" : ` (control endpoints disabled: ${tokenEnv} not set)`}`);
+}
+
+function watchForConfigChanges() {
+  watchConfig({
+    validate: checkStrategies,
+    onReload: async () => {
+      log("Config reloaded");
       try {
-        const res = await fetch(`${config.chatroom.apiBase}/api/messages`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            name: config.agentName,
-            text: `[keepalive] ${config.agentName} is online — come chat! Docs: ${config.product.docsUrl}`,
-          }),
-        });
-        if (res.ok) {
-          log("Chatroom keepalive sent");
-        } else {
-          log(`Chatroom keepalive failed: ${res.status}`);
-        }
+        await initModes();
+        scheduleCycles();
       } catch (err) {
-        log(`Chatroom keepalive error: ${err.message}`);
+        log.error(`Config reload error: ${err.message}`);
       }
-    }
+    },
+    onError: (err) => log.warn(`Config change ignored — ${err.message}`),
+  });
+}
+
+// --- Shutdown ---
 
-    await sendKeepAlive();
-    setInterval(sendKeepAlive, keepAliveMs);
+// Render, for one, kills the process 30 seconds after SIGTERM
+const SHUTDOWN_TIMEOUT_MS = 25 * 1000;
+
+// Lets the running strategy finish its current action, then closes the state
+// stores and exits. Whatever the cycle had left is resumed on the next start;
+// past the timeout, or on a second signal, the process exits anyway and the
+// checkpoints in state pick up from there.
+async function shutdown(signal) {
+  if (stopping()) {
+    log.warn(`${signal} received again, exiting now`);
+    process.exit(1);
   }
+  requestStop();
+  log(`${signal} received, shutting down${cycleRunning ? " once the current action is done" : ""}`);
+  clearInterval(tickTimer);
+  chatroom.stop();
+  setTimeout(() => {
+    log.error(`Shutdown still waiting after ${SHUTDOWN_TIMEOUT_MS / 1000}s, exiting; the next start resumes from the last checkpoint`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  while (cycleRunning) await sleep(200);
+  await admin?.close();
+  await closeStores();
+  log("Shutdown complete");
+  process.exit(0);
+}
+
+async function main() {
+  // A dry run leaves nothing behind on disk, log files included
+  if (DRY_RUN) config.logging = { ...config.logging, file: undefined };
+  log(`=== ${personas.profiles().map((p) => p.agentName).join(", ")} Bot Starting ===`);
+  const problems = checkStrategies(config);
+  if (problems.length) throw new Error(`Invalid config:\n  - ${problems.join("\n  - ")}`);
+  const promptProblems = prompts.checkPrompts();
+  if (promptProblems.length) throw new Error(promptProblems.join("\n"));
+  const mock = DRY_RUN ? await startDryRun() : null;
+  if (!mock) warnMissingCredentials(personas.profiles());
+
+  await initModes();
+
+  if (mock) {
+    await runCycle({ force: true });
+    printDryRunReport(mock.published, approvals.list("pending"));
+    await mock.close();
+    return;
+  }
+
+  store = await openStore();
+  for (const signal of ["SIGTERM", "SIGINT"]) process.on(signal, () => shutdown(signal));
+  const saved = store.get("cycle");
+  cycleCount = saved?.count || 0;
+  interrupted = saved?.current || null;
+  if (interrupted) log(`Cycle ${interrupted.number} was interrupted (started ${interrupted.startedAt}); resuming ${interrupted.remaining.join(", ")}`);
+  for (const name of store.get("admin")?.pausedStrategies || []) pausedStrategies.add(name);
+  chatroom.setPaused(pausedStrategies);
+  if (pausedStrategies.size) log(`Paused strategies: ${[...pausedStrategies].join(", ")}`);
+
+  watchForConfigChanges();
+  if (config.admin.enabled) await startAdmin();
 
-  await runCycle();
+  if (config.chatroom?.enabled) await chatroom.start();
 
-  setInterval(() => runCycle().catch((err) => log(`Cycle error: ${err.message}`)), interval * 60 * 60 * 1000);
+  scheduleCycles();
+  tick();
 }
 
 main().catch((err) => {
-  console.error("Fatal:", err.message);
+  log.error(`Fatal: ${err.message}`);
   process.exit(1);
 });
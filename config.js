@@ -1,28 +1,557 @@
-export default {
-  agentName: "CodeCrab",
-  apiKeyEnv: "CODECRAB_API_KEY",
-
-  identity: `You're building a free open chat room for AI agents. Any AI agent on Moltbook can join and talk to other agents in real time — no setup, no API keys, just show up and start chatting. It's like a communal hangout space where agents can collaborate, share ideas, ask questions, or just vibe.`,
-
-  personality: `- Witty, sharp, and opinionated — you have strong takes but back them up
-- You engage deeply with post content — reference specifics, not generalities
-- You ask provocative questions that spark debate
-- You're generous with praise when something is genuinely good
-- You're direct about disagreements — respectful but not a pushover
-- You keep comments concise and punchy (2-4 sentences, max 5)
-- You occasionally drop humor or clever observations
-- You reference other agents by name when replying to build relationships`,
-
-  product: {
-    name: "Agent Chat Room",
-    description: "a free chat room where any AI agent can join and talk to other agents in real time",
-    mentionRate: 0.4,
-    url: "https://agent-collab.onrender.com",
-    docsUrl: "https://agent-collab.onrender.com/agentChatRoom.md",
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import YAML from "yaml";
+
+// --- Config file location ---
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+export const CONFIG_PATH = path.resolve(ROOT, process.env.MOLTBOT_CONFIG || "moltbot.yaml");
+
+// Older and platform env names kept working alongside MOLTBOT__<path> overrides
+const ENV_ALIASES = {
+  STATE_BACKEND: ["state", "backend"],
+  STATE_PATH: ["state", "path"],
+  PORT: ["admin", "port"],
+  LOG_LEVEL: ["logging", "level"],
+  LOG_FORMAT: ["logging", "format"],
+};
+
+// --- Schema ---
+
+const text = { type: "string", required: true };
+const submoltList = { type: "array", items: { type: "string", pattern: /^[a-z0-9_-]+$/ }, required: true };
+const budget = {
+  type: "object",
+  properties: {
+    minIntervalSeconds: { type: "number", min: 0 },
+    perDay: { type: "number", min: 1, integer: true },
+  },
+};
+
+const clock = { type: "string", pattern: /^([01]\d|2[0-3]):[0-5]\d$/, required: true };
+const dailyCap = { type: "number", min: 0, integer: true };
+
+const lengthBounds = (min, max) => ({
+  type: "object",
+  default: {},
+  properties: {
+    min: { type: "number", min: 0, integer: true, default: min },
+    max: { type: "number", min: 1, integer: true, default: max },
+  },
+});
+
+// Per-task LLM parameters; unset ones fall back to llm.defaults
+const llmTask = (maxTokens) => ({
+  type: "object",
+  default: {},
+  properties: {
+    model: { type: "string" },
+    maxTokens: { type: "number", min: 1, integer: true, default: maxTokens },
+    temperature: { type: "number", min: 0, max: 1 },
+  },
+});
+
+// Persona blocks: required at the top level, optional overrides in `personas`
+const productSchema = {
+  type: "object",
+  properties: {
+    name: text,
+    description: text,
+    mentionRate: { type: "number", min: 0, max: 1, default: 0.4 },
+    url: { ...text, url: true },
+    docsUrl: { ...text, url: true },
   },
+};
+
+const modesSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      name: text,
+      module: text,
+      enabled: { type: "boolean", default: true },
+      cycleHours: { type: "number", min: 0.05, required: true },
+      strategies: { type: "object", values: { type: "boolean" }, required: true },
+      schedule: {
+        type: "object",
+        default: {},
+        values: {
+          type: "object",
+          properties: {
+            everyHours: { type: "number", min: 0.01 },
+            cron: { type: "string" },
+            jitterMinutes: { type: "number", min: 0, default: 0 },
+          },
+        },
+      },
+    },
+  },
+};
 
-  chatroom: {
-    apiBase: "https://agent-collab.onrender.com",
-    keepAliveMinutes: 10,
+const moltbookSchema = {
+  type: "object",
+  properties: {
+    targetSubmolts: submoltList,
+    subscribeSubmolts: submoltList,
+    postSubmolts: { ...submoltList, minItems: 1 },
+    replies: {
+      type: "object",
+      default: {},
+      properties: {
+        maxPerCycle: { type: "number", min: 0, integer: true, default: 5 },
+        maxDepth: { type: "number", min: 1, integer: true, default: 4 },
+        maxTurnsPerThread: { type: "number", min: 1, integer: true, default: 3 },
+      },
+    },
+    relationships: {
+      type: "object",
+      default: {},
+      properties: {
+        perDay: { type: "number", min: 0, integer: true, default: 2 },
+        perWeek: { type: "number", min: 0, integer: true, default: 5 },
+        loopTurns: { type: "number", min: 2, integer: true, default: 4 },
+        loopExchangesPerDay: { type: "number", min: 1, integer: true, default: 3 },
+        backoffHours: { type: "number", min: 0, default: 48 },
+      },
+    },
+    discovery: {
+      type: "object",
+      default: {},
+      properties: {
+        enabled: { type: "boolean", default: true },
+        refreshHours: { type: "number", min: 0, default: 6 },
+        searchQueries: { type: "number", min: 0, integer: true, default: 3 },
+        explore: { type: "number", min: 0, max: 1, default: 0.2 },
+        scanSubmolts: { type: "number", min: 1, integer: true, default: 6 },
+        postChoices: { type: "number", min: 1, integer: true, default: 3 },
+        weights: {
+          type: "object",
+          default: {},
+          properties: {
+            relevance: { type: "number", min: 0, default: 0.45 },
+            activity: { type: "number", min: 0, default: 0.3 },
+            performance: { type: "number", min: 0, default: 0.25 },
+          },
+        },
+      },
+    },
   },
 };
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    agentName: text,
+    apiKeyEnv: { ...text, pattern: /^[A-Z][A-Z0-9_]*$/ },
+    identity: text,
+    // The Moltbook profile bio, set by `npm run onboard`
+    description: { type: "string" },
+    personality: text,
+    product: { ...productSchema, required: true },
+    chatroom: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean", default: true },
+        apiBase: { ...text, url: true },
+        pollSeconds: { type: "number", min: 5, default: 30 },
+        keepAliveMinutes: { type: "number", min: 1, default: 10 },
+        strategies: { type: "object", values: { type: "boolean" }, default: { keepAlive: true } },
+        limits: {
+          type: "object",
+          default: {},
+          properties: {
+            minSecondsBetweenMessages: { type: "number", min: 0, default: 20 },
+            maxMessagesPerHour: { type: "number", min: 1, integer: true, default: 20 },
+          },
+        },
+      },
+    },
+    modes: { ...modesSchema, required: true },
+    moltbook: { ...moltbookSchema, required: true },
+    // More agents run by the same process. Each inherits the top-level persona
+    // fields it doesn't set, and keeps its own state (lib/personas.js).
+    personas: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        properties: {
+          agentName: text,
+          apiKeyEnv: { ...text, pattern: /^[A-Z][A-Z0-9_]*$/ },
+          enabled: { type: "boolean", default: true },
+          identity: { type: "string" },
+          description: { type: "string" },
+          personality: { type: "string" },
+          product: productSchema,
+          modes: modesSchema,
+          moltbook: moltbookSchema,
+          state: { type: "object", properties: { path: { type: "string" } } },
+        },
+      },
+    },
+    schedule: {
+      type: "object",
+      default: {},
+      properties: {
+        timezone: { type: "string", default: "UTC" },
+        tickSeconds: { type: "number", min: 5, default: 60 },
+        quietHours: { type: "object", properties: { start: clock, end: clock } },
+        dailyCaps: {
+          type: "object",
+          default: {},
+          properties: { post: dailyCap, comment: dailyCap, reply: dailyCap, upvote: dailyCap, follow: dailyCap },
+        },
+      },
+    },
+    rateLimits: {
+      type: "object",
+      default: {},
+      properties: {
+        maxQueueMinutes: { type: "number", min: 0 },
+        post: budget,
+        comment: budget,
+        upvote: budget,
+        follow: budget,
+      },
+    },
+    approval: {
+      type: "object",
+      default: {},
+      properties: {
+        strategies: { type: "array", items: text, default: [] },
+        expireHours: { type: "number", min: 0.1, default: 24 },
+        queuePath: { type: "string", default: "data/approvals.json" },
+      },
+    },
+    injection: {
+      type: "object",
+      default: {},
+      properties: {
+        enabled: { type: "boolean", default: true },
+        llmClassifier: { type: "string", enum: ["off", "borderline", "all"], default: "borderline" },
+        quarantinePath: { type: "string", default: "data/quarantine.jsonl" },
+      },
+    },
+    targeting: {
+      type: "object",
+      default: {},
+      properties: {
+        enabled: { type: "boolean", default: true },
+        blockedAgents: { type: "array", items: { type: "string" }, default: [] },
+        blockedSubmolts: { type: "array", items: { type: "string" }, default: [] },
+        // Topic name -> words and phrases that mark a post as being about it
+        sensitiveTopics: {
+          type: "object",
+          values: { type: "array", items: { type: "string" } },
+          default: {
+            grief: ["passed away", "died", "funeral", "grief", "grieving", "bereavement", "condolences", "mourning", "rest in peace"],
+            harassment: ["harassment", "harassed", "harassing", "bullying", "bullied", "doxxed", "doxxing", "stalking", "threatened me"],
+            nsfw: ["nsfw", "porn", "nude", "nudes", "explicit content", "onlyfans", "sexual"],
+            selfHarm: ["suicide", "suicidal", "self-harm", "self harm", "kill myself", "end my life"],
+          },
+        },
+        optOut: {
+          type: "object",
+          default: {},
+          properties: {
+            // Also read post authors' profile descriptions and submolt descriptions
+            checkProfiles: { type: "boolean", default: true },
+            noBots: {
+              type: "array",
+              items: { type: "string" },
+              default: ["no bots", "no bot replies", "no automated replies", "no automated comments", "bots keep out", "#nobots"],
+            },
+            noPromotion: {
+              type: "array",
+              items: { type: "string" },
+              default: ["no promotion", "no self-promotion", "no self promotion", "no self-promo", "no promo", "no advertising", "no ads", "no shilling", "no plugs", "#nopromo"],
+            },
+          },
+        },
+      },
+    },
+    sanitizer: {
+      type: "object",
+      default: {},
+      properties: {
+        allowedDomains: { type: "array", items: { type: "string", pattern: /^[a-z0-9.-]+$/ }, default: [] },
+        maxRedactedRatio: { type: "number", min: 0, max: 1, default: 0.3 },
+      },
+    },
+    quality: {
+      type: "object",
+      default: {},
+      properties: {
+        enabled: { type: "boolean", default: true },
+        maxAttempts: { type: "number", min: 1, integer: true, default: 3 },
+        critique: { type: "boolean", default: true },
+        minRelevance: { type: "number", min: 0, max: 10, default: 6 },
+        minTone: { type: "number", min: 0, max: 10, default: 6 },
+        maxSimilarity: { type: "number", min: 0, max: 1, default: 0.5 },
+        historySize: { type: "number", min: 1, integer: true, default: 500 },
+        length: {
+          type: "object",
+          default: {},
+          properties: {
+            comment: lengthBounds(20, 700),
+            reply: lengthBounds(10, 400),
+            post: lengthBounds(200, 5000),
+          },
+        },
+      },
+    },
+    prompts: {
+      type: "object",
+      default: {},
+      properties: {
+        dir: { type: "string", default: "prompts" },
+      },
+    },
+    llm: {
+      type: "object",
+      default: {},
+      properties: {
+        provider: { type: "string", enum: ["anthropic", "stub"], default: "anthropic" },
+        defaults: {
+          type: "object",
+          default: {},
+          properties: {
+            model: { type: "string", default: "claude-haiku-4-5-20251001" },
+            maxTokens: { type: "number", min: 1, integer: true, default: 250 },
+            temperature: { type: "number", min: 0, max: 1 },
+          },
+        },
+        tasks: {
+          type: "object",
+          default: {},
+          properties: {
+            comment: llmTask(250),
+            reply: llmTask(250),
+            post: llmTask(800),
+            chat: llmTask(150),
+            verification: llmTask(150),
+            classification: llmTask(100),
+            critique: llmTask(150),
+          },
+        },
+        // USD per million tokens
+        pricing: {
+          type: "object",
+          values: {
+            type: "object",
+            properties: { input: { type: "number", min: 0, required: true }, output: { type: "number", min: 0, required: true } },
+          },
+          default: {
+            "claude-haiku-4-5-20251001": { input: 1, output: 5 },
+            "claude-sonnet-4-5-20250929": { input: 3, output: 15 },
+            "claude-opus-4-1-20250805": { input: 15, output: 75 },
+          },
+        },
+        budget: {
+          type: "object",
+          default: {},
+          properties: {
+            dailyUSD: { type: "number", min: 0 },
+            monthlyUSD: { type: "number", min: 0 },
+          },
+        },
+      },
+    },
+    solver: {
+      type: "object",
+      default: {},
+      properties: {
+        minConfidence: { type: "number", min: 0, max: 1, default: 0.8 },
+        corpusPath: { type: "string", default: "data/challenges.jsonl" },
+      },
+    },
+    logging: {
+      type: "object",
+      default: {},
+      properties: {
+        level: { type: "string", enum: ["debug", "info", "warn", "error"], default: "info" },
+        format: { type: "string", enum: ["text", "json"], default: "text" },
+        file: {
+          type: "object",
+          properties: {
+            path: text,
+            maxSizeMB: { type: "number", min: 0.1, default: 10 },
+            maxFiles: { type: "number", min: 1, integer: true, default: 5 },
+          },
+        },
+      },
+    },
+    admin: {
+      type: "object",
+      default: {},
+      properties: {
+        enabled: { type: "boolean", default: false },
+        host: { type: "string", default: "0.0.0.0" },
+        port: { type: "number", min: 0, max: 65535, integer: true, default: 8080 },
+        tokenEnv: { type: "string", pattern: /^[A-Z][A-Z0-9_]*$/, default: "ADMIN_TOKEN" },
+      },
+    },
+    state: {
+      type: "object",
+      default: {},
+      properties: {
+        backend: { type: "string", enum: ["json", "sqlite", "memory"], default: "json" },
+        path: { type: "string", default: "data/state.json" },
+      },
+    },
+  },
+};
+
+function describe(value) {
+  return value === null ? "null" : Array.isArray(value) ? "an array" : JSON.stringify(value);
+}
+
+// Checks `value` against `schema`, filling in defaults. Problems are collected
+// as "path: message" strings so every mistake is reported at once.
+function check(value, schema, at, problems) {
+  if (value === undefined) {
+    if (schema.default !== undefined) return check(structuredClone(schema.default), { ...schema, default: undefined }, at, problems);
+    if (schema.required) problems.push(`${at}: is required`);
+    return value;
+  }
+
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string" || !value.trim()) {
+        problems.push(`${at}: expected a non-empty string, got ${describe(value)}`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${at}: must be one of ${schema.enum.join(", ")}, got ${describe(value)}`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        problems.push(`${at}: ${describe(value)} does not match ${schema.pattern}`);
+      } else if (schema.url && !URL.canParse(value)) {
+        problems.push(`${at}: ${describe(value)} is not a valid URL`);
+      }
+      return value;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        problems.push(`${at}: expected a number, got ${describe(value)}`);
+      } else if (schema.integer && !Number.isInteger(value)) {
+        problems.push(`${at}: expected a whole number, got ${value}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        problems.push(`${at}: must be at least ${schema.min}, got ${value}`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        problems.push(`${at}: must be at most ${schema.max}, got ${value}`);
+      }
+      return value;
+    case "boolean":
+      if (typeof value !== "boolean") problems.push(`${at}: expected true or false, got ${describe(value)}`);
+      return value;
+    case "array":
+      if (!Array.isArray(value)) {
+        problems.push(`${at}: expected a list, got ${describe(value)}`);
+        return value;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        problems.push(`${at}: needs at least ${schema.minItems} item(s)`);
+      }
+      return value.map((item, i) => check(item, schema.items, `${at}[${i}]`, problems));
+    case "object": {
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        problems.push(`${at}: expected a mapping, got ${describe(value)}`);
+        return value;
+      }
+      const out = {};
+      for (const [key, v] of Object.entries(value)) {
+        const sub = schema.properties?.[key] || schema.values;
+        if (!sub) {
+          problems.push(`${at}.${key}: unknown key (expected one of: ${Object.keys(schema.properties).join(", ")})`);
+          continue;
+        }
+        out[key] = check(v, sub, `${at}.${key}`, problems);
+      }
+      for (const [key, sub] of Object.entries(schema.properties || {})) {
+        if (key in value) continue;
+        const filled = check(undefined, sub, `${at}.${key}`, problems);
+        if (filled !== undefined) out[key] = filled;
+      }
+      return out;
+    }
+  }
+}
+
+// --- Environment overrides ---
+
+const normalize = (key) => key.replace(/_/g, "").toLowerCase();
+
+function setPath(target, schema, segments, value) {
+  let node = target;
+  segments.forEach((segment, i) => {
+    const last = i === segments.length - 1;
+    const candidates = [...Object.keys(node), ...Object.keys(schema?.properties || {})];
+    const key = Array.isArray(node)
+      ? Number(segment)
+      : candidates.find((k) => normalize(k) === normalize(segment)) ?? segment;
+    schema = Array.isArray(node) ? schema?.items : schema?.properties?.[key] || schema?.values;
+    if (last) node[key] = value;
+    else node = node[key] ??= schema?.type === "array" ? [] : {};
+  });
+}
+
+function parseEnvValue(raw) {
+  try { return JSON.parse(raw); } catch { return raw; }
+}
+
+function applyEnvOverrides(raw, env) {
+  for (const [name, value] of Object.entries(env)) {
+    const segments = ENV_ALIASES[name] || (name.startsWith("MOLTBOT__") ? name.slice(9).split("__") : null);
+    if (segments?.length && value !== "") setPath(raw, SCHEMA, segments, parseEnvValue(value));
+  }
+  return raw;
+}
+
+// --- Loading ---
+
+export function loadConfig(file = CONFIG_PATH, env = process.env) {
+  let raw;
+  try {
+    const source = fs.readFileSync(file, "utf8");
+    raw = file.endsWith(".json") ? JSON.parse(source) : YAML.parse(source);
+  } catch (err) {
+    throw new Error(`Could not read config ${file}: ${err.message}`);
+  }
+
+  const problems = [];
+  const loaded = check(applyEnvOverrides(raw ?? {}, env), { ...SCHEMA, required: true }, "config", problems);
+  if (problems.length) {
+    const err = new Error(`Invalid config ${file}:\n  - ${problems.join("\n  - ")}`);
+    err.problems = problems;
+    throw err;
+  }
+  return loaded;
+}
+
+// Reloads the file whenever it changes. `validate` may veto a new config by
+// returning problems; the running config is only replaced when it is clean.
+export function watchConfig({ validate, onReload, onError }, file = CONFIG_PATH) {
+  fs.watchFile(file, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    try {
+      const next = loadConfig(file);
+      const problems = validate?.(next) || [];
+      if (problems.length) throw new Error(`Invalid config ${file}:\n  - ${problems.join("\n  - ")}`);
+      for (const key of Object.keys(config)) delete config[key];
+      Object.assign(config, next);
+      onReload?.(config);
+    } catch (err) {
+      onError?.(err);
+    }
+  });
+  return () => fs.unwatchFile(file);
+}
+
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+export default config;
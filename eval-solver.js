@@ -0,0 +1,53 @@
+import config from "./config.js";
+import { parseChallenge, readCorpus } from "./lib/solver.js";
+
+// Measures the deterministic parser against stored challenges, offline.
+// Usage: node eval-solver.js [corpus.jsonl ...]
+// Defaults to the committed seed corpus plus the bot's own challenge log.
+// Exits non-zero if the parser is confidently wrong on any labeled challenge,
+// since those answers would be submitted without an LLM double-check.
+
+const files = process.argv.slice(2);
+if (!files.length) files.push("corpus/challenges.jsonl", config.solver.corpusPath);
+
+const minConfidence = config.solver.minConfidence;
+const entries = files.flatMap((file) => readCorpus(file).map((entry) => ({ ...entry, file })));
+
+// Ground truth: a hand-labeled answer, or one Moltbook accepted
+const labeled = entries
+  .map((e) => ({ ...e, truth: e.expected ?? (e.verified ? e.answer : null) }))
+  .filter((e) => e.truth != null);
+const unlabeled = entries.length - labeled.length;
+
+const outcome = { confidentRight: [], confidentWrong: [], fallbackRight: [], fallbackWrong: [] };
+for (const entry of labeled) {
+  let parsed;
+  try { parsed = parseChallenge(entry.challenge); } catch { parsed = { answer: null, confidence: 0 }; }
+  const right = parsed.answer !== null && Number(parsed.answer).toFixed(2) === Number(entry.truth).toFixed(2);
+  const confident = parsed.confidence >= minConfidence;
+  const bucket = `${confident ? "confident" : "fallback"}${right ? "Right" : "Wrong"}`;
+  outcome[bucket].push({ entry, parsed });
+}
+
+const pct = (n) => (labeled.length ? `${((n / labeled.length) * 100).toFixed(1)}%` : "n/a");
+const right = outcome.confidentRight.length + outcome.fallbackRight.length;
+const confident = outcome.confidentRight.length + outcome.confidentWrong.length;
+
+console.log(`Solver eval — ${labeled.length} labeled challenges from ${files.join(", ")}`);
+console.log(`  Parser accuracy:          ${right}/${labeled.length} (${pct(right)})`);
+console.log(`  Answered without LLM:     ${confident}/${labeled.length} (${pct(confident)}) at confidence >= ${minConfidence}`);
+console.log(`  Confidently wrong:        ${outcome.confidentWrong.length}`);
+console.log(`  Sent to LLM (wrong anyway): ${outcome.fallbackWrong.length}`);
+console.log(`  Sent to LLM (was right):    ${outcome.fallbackRight.length}`);
+if (unlabeled) console.log(`  Unlabeled (failed verification, add "expected" to use): ${unlabeled}`);
+
+for (const [title, list] of [["CONFIDENTLY WRONG", outcome.confidentWrong], ["LOW CONFIDENCE", [...outcome.fallbackWrong, ...outcome.fallbackRight]]]) {
+  if (!list.length) continue;
+  console.log(`\n${title}:`);
+  for (const { entry, parsed } of list) {
+    console.log(`- "${entry.challenge}"`);
+    console.log(`    expected ${entry.truth}, parser ${parsed.answer} (confidence ${parsed.confidence}, numbers ${JSON.stringify(parsed.numbers)})`);
+  }
+}
+
+process.exit(outcome.confidentWrong.length ? 1 : 0);
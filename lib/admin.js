@@ -0,0 +1,90 @@
+import crypto from "node:crypto";
+import http from "node:http";
+
+// --- Admin HTTP server ---
+//
+// A small JSON API for watching and steering a running bot. bot.js supplies
+// the handlers; this module only does routing and auth.
+//
+//   GET  /health                      open
+//   GET  /status                      bearer token
+//   GET  /content?limit=20            bearer token
+//   POST /strategies/:name/pause      bearer token
+//   POST /strategies/:name/resume     bearer token
+//   POST /cycle                       bearer token
+//
+// Handlers signal client errors by throwing with `err.status` set. Nothing a
+// request sends can throw out of the server: anything unexpected is a 500.
+
+function authorized(req, token) {
+  const header = req.headers.authorization || "";
+  const given = Buffer.from(header.startsWith("Bearer ") ? header.slice(7) : "");
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function route(method, pathname) {
+  const parts = pathname.split("/").filter(Boolean);
+  const key = `${method} /${parts.join("/")}`;
+  if (key === "GET /health") return { name: "health", open: true };
+  if (key === "GET /status") return { name: "status" };
+  if (key === "GET /content") return { name: "content" };
+  if (key === "POST /cycle") return { name: "triggerCycle" };
+  if (method === "POST" && parts.length === 3 && parts[0] === "strategies" && ["pause", "resume"].includes(parts[2])) {
+    return { name: parts[2], arg: parts[1] };
+  }
+  return null;
+}
+
+// Decoded only once the caller is authorized
+function decode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    const err = new Error(`Malformed path segment "${segment}"`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+export function startAdminServer({ host, port, token, tokenEnv, handlers, log }) {
+  const server = http.createServer(async (req, res) => {
+    const reply = (status, payload) => {
+      const body = JSON.stringify(payload, null, 2);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(body);
+    };
+    req.resume();
+
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const match = route(req.method, url.pathname);
+      if (!match) return reply(404, { error: "Not found" });
+
+      if (!match.open) {
+        if (!token) return reply(503, { error: `Endpoints other than /health are disabled until ${tokenEnv} is set` });
+        if (!authorized(req, token)) return reply(401, { error: "Missing or invalid bearer token" });
+        log(`  [admin] ${req.method} ${url.pathname}`);
+      }
+
+      const arg = match.name === "content" ? Number(url.searchParams.get("limit")) || 20 : match.arg && decode(match.arg);
+      const result = await handlers[match.name](arg);
+      reply(match.name === "triggerCycle" ? 202 : 200, result);
+    } catch (err) {
+      if (!err.status) log(`  [admin] ${req.method} ${req.url} failed: ${err.message}`);
+      if (res.headersSent) return res.destroy();
+      reply(err.status || 500, { error: err.status ? err.message : "Internal error" });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const { port: bound } = server.address();
+      resolve({
+        url: `http://${host === "0.0.0.0" ? "127.0.0.1" : host}:${bound}`,
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
@@ -0,0 +1,180 @@
+import * as personas from "./personas.js";
+import { openStore } from "./state.js";
+
+// --- Engagement history ---
+//
+// Time series of the agent's karma, of every tracked post's upvotes and
+// comment count, and of our comments' upvotes and replies, sampled each
+// cycle. Posts and comments carry the prompt variant that wrote them. Lives in
+// its own state namespace so the report command can read it without the bot
+// running. Each persona has its own history, in its own state. Only the
+// posts and comments sampled most recently are kept, like the strategies'
+// own tracking.
+
+const STATE_NAMESPACE = "analytics";
+const MAX_SAMPLES = 1000;
+const MAX_POSTS = 200;
+const MAX_COMMENTS = 200;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const history = personas.scoped((state) => ({ state, store: null, data: { karma: [], posts: {}, comments: {} } }));
+
+export async function load() {
+  const h = history();
+  if (!h.store) {
+    h.store = await openStore(h.state);
+    const saved = h.store.get(STATE_NAMESPACE);
+    if (saved) h.data = { karma: saved.karma || [], posts: saved.posts || {}, comments: saved.comments || {} };
+  }
+  return h.data;
+}
+
+function persist() {
+  const { store, data } = history();
+  store?.set(STATE_NAMESPACE, data);
+}
+
+function push(samples, sample) {
+  samples.push(sample);
+  samples.splice(0, Math.max(0, samples.length - MAX_SAMPLES));
+}
+
+// Drops the entries sampled longest ago beyond `max`
+function trim(entries, max) {
+  const ids = Object.keys(entries);
+  if (ids.length <= max) return;
+  const lastAt = (id) => entries[id].samples.at(-1)?.at || "";
+  for (const id of ids.sort((a, b) => lastAt(a).localeCompare(lastAt(b))).slice(0, ids.length - max)) delete entries[id];
+}
+
+export function recordKarma(agent) {
+  push(history().data.karma, {
+    at: new Date().toISOString(),
+    karma: agent.karma ?? null,
+    posts: agent.stats?.posts ?? null,
+    comments: agent.stats?.comments ?? null,
+  });
+  persist();
+}
+
+export function recordPost(post) {
+  const entry = (history().data.posts[post.id] ??= { id: post.id, samples: [] });
+  Object.assign(entry, {
+    title: post.title,
+    submolt: post.submolt,
+    createdAt: post.createdAt || entry.createdAt || null,
+    variant: post.variant || entry.variant || null,
+  });
+  push(entry.samples, { at: new Date().toISOString(), upvotes: post.upvotes || 0, comments: post.commentCount || 0 });
+  trim(history().data.posts, MAX_POSTS);
+  persist();
+}
+
+export function recordComment(comment) {
+  const entry = (history().data.comments[comment.id] ??= { id: comment.id, samples: [] });
+  Object.assign(entry, {
+    postId: comment.postId,
+    parentId: comment.parentId || null,
+    submolt: comment.submolt || null,
+    createdAt: comment.createdAt || entry.createdAt || null,
+    variant: comment.variant || entry.variant || null,
+  });
+  push(entry.samples, { at: new Date().toISOString(), upvotes: comment.upvotes || 0, replies: comment.replyCount || 0 });
+  trim(history().data.comments, MAX_COMMENTS);
+  persist();
+}
+
+// --- Summaries ---
+
+const latest = (post) => post.samples.at(-1) || { upvotes: 0, comments: 0, replies: 0 };
+
+export function filterSince(data, since) {
+  if (!since) return data;
+  const after = (s) => s.at >= since;
+  const recent = (entries) => Object.fromEntries(Object.entries(entries)
+    .map(([id, e]) => [id, { ...e, samples: e.samples.filter(after) }])
+    .filter(([, e]) => e.samples.length));
+  return { karma: data.karma.filter(after), posts: recent(data.posts), comments: recent(data.comments) };
+}
+
+// Karma at the end of each UTC day, with the change from the day before
+export function dailyGrowth(data) {
+  const byDay = new Map();
+  for (const s of data.karma) if (s.karma != null) byDay.set(s.at.slice(0, 10), s);
+  let previous = null;
+  return [...byDay].map(([day, s]) => {
+    const row = { day, karma: s.karma, change: previous == null ? null : s.karma - previous, posts: s.posts, comments: s.comments };
+    previous = s.karma;
+    return row;
+  });
+}
+
+function averages(posts) {
+  const n = posts.length;
+  const upvotes = posts.reduce((sum, p) => sum + latest(p).upvotes, 0);
+  const comments = posts.reduce((sum, p) => sum + latest(p).comments, 0);
+  return { posts: n, totalUpvotes: upvotes, avgUpvotes: n ? upvotes / n : 0, avgComments: n ? comments / n : 0 };
+}
+
+export function bySubmolt(data) {
+  const groups = Map.groupBy(Object.values(data.posts), (p) => p.submolt || "unknown");
+  return [...groups]
+    .map(([submolt, posts]) => ({ submolt, ...averages(posts) }))
+    .sort((a, b) => b.avgUpvotes - a.avgUpvotes);
+}
+
+// Grouped by the UTC hour each post was published
+export function byHourOfDay(data) {
+  const dated = Object.values(data.posts).filter((p) => p.createdAt);
+  const groups = Map.groupBy(dated, (p) => new Date(p.createdAt).getUTCHours());
+  return [...groups]
+    .map(([hour, posts]) => ({ hour, ...averages(posts) }))
+    .sort((a, b) => a.hour - b.hour);
+}
+
+// Each post's upvotes by hours since it was published
+export function postCurves(data) {
+  return Object.values(data.posts)
+    .map((p) => {
+      const start = p.createdAt ? Date.parse(p.createdAt) : Date.parse(p.samples[0].at);
+      return {
+        id: p.id,
+        title: p.title,
+        submolt: p.submolt,
+        createdAt: p.createdAt,
+        ...latest(p),
+        curve: p.samples.map((s) => ({ hours: Math.max(0, Math.round((Date.parse(s.at) - start) / HOUR_MS)), upvotes: s.upvotes, comments: s.comments })),
+      };
+    })
+    .sort((a, b) => b.upvotes - a.upvotes);
+}
+
+// Engagement per prompt variant: posts by upvotes and comments received,
+// comments and replies by upvotes and replies received. Items from before
+// variants were recorded are left out.
+export function byVariant(data) {
+  const items = [
+    ...Object.values(data.posts).map((p) => ({ kind: "post", variant: p.variant, ...latest(p) })),
+    ...Object.values(data.comments).map((c) => ({ kind: c.parentId ? "reply" : "comment", variant: c.variant, ...latest(c) })),
+  ].filter((i) => i.variant);
+  const groups = Map.groupBy(items, (i) => i.variant);
+  return [...groups]
+    .map(([variant, group]) => {
+      const n = group.length;
+      const upvotes = group.reduce((sum, i) => sum + i.upvotes, 0);
+      const responses = group.reduce((sum, i) => sum + (i.kind === "post" ? i.comments : i.replies), 0);
+      return { variant, kind: group[0].kind, items: n, totalUpvotes: upvotes, avgUpvotes: upvotes / n, avgResponses: responses / n };
+    })
+    .sort((a, b) => a.variant.localeCompare(b.variant));
+}
+
+export function summarize(data) {
+  return {
+    growth: dailyGrowth(data),
+    submolts: bySubmolt(data),
+    hours: byHourOfDay(data),
+    variants: byVariant(data),
+    posts: postCurves(data),
+  };
+}
@@ -1,76 +1,195 @@
 import "dotenv/config";
-import Anthropic from "@anthropic-ai/sdk";
 import config from "../config.js";
+import { complete } from "./llm.js";
+import { log } from "./logger.js";
+import * as limits from "./ratelimit.js";
+import { parseChallenge, recordChallenge } from "./solver.js";
 
-const BASE_URL = "https://www.moltbook.com/api/v1";
-const API_KEY = process.env[config.apiKeyEnv];
+let BASE_URL = process.env.MOLTBOOK_BASE_URL || "https://www.moltbook.com/api/v1";
 
-if (!API_KEY) {
-  console.warn(`Warning: Missing ${config.apiKeyEnv} in .env file`);
-}
-if (!process.env.ANTHROPIC_API_KEY) {
-  console.warn("Warning: Missing ANTHROPIC_API_KEY in .env file");
+// Called at startup rather than on import, so a dry run can fill in its own keys first
+export function warnMissingCredentials(profiles) {
+  for (const { agentName, apiKeyEnv } of profiles) {
+    if (!process.env[apiKeyEnv]) log.warn(`Missing ${apiKeyEnv} in .env file (${agentName})`);
+  }
+  if (config.llm.provider === "anthropic" && !process.env.ANTHROPIC_API_KEY) log.warn("Missing ANTHROPIC_API_KEY in .env file");
 }
 
-const anthropic = new Anthropic();
+// --- API helpers ---
+
+export function setBaseUrl(url) {
+  BASE_URL = url;
+}
 
-const headers = {
-  Authorization: `Bearer ${API_KEY}`,
-  "Content-Type": "application/json",
-};
+const MAX_ATTEMPTS = 5;
 
-// --- Logging ---
+// A 5xx or dropped connection may come after the server acted on the request,
+// so only calls that are safe to repeat are retried then. A POST is retried
+// only on a 429 or when the connection never opened, so it can't publish (or
+// register) twice.
+const IDEMPOTENT = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+const NOT_SENT = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "UND_ERR_CONNECT_TIMEOUT"]);
 
-export function log(msg) {
-  console.log(`[${new Date().toISOString()}] ${msg}`);
+function neverSent(err) {
+  return NOT_SENT.has(err.cause?.code ?? err.code);
 }
 
-// --- API helpers ---
+// `auth` is a client's headers and rate limit scope
+async function request(auth, method, path, body) {
+  const bucket = limits.bucketFor(method, path);
+  let needSlot = true;
+
+  for (let attempt = 1; ; attempt++) {
+    // Only the first try and retries after a 429 wait for a budget slot;
+    // 5xx and network retries just back off
+    if (needSlot) {
+      await limits.acquire(bucket, (ms) => log(`  [rate] ${method} ${path} queued ${Math.ceil(ms / 1000)}s for ${bucket} budget`), auth.scope);
+      needSlot = false;
+    }
+
+    let res;
+    try {
+      res = await fetch(`${BASE_URL}${path}`, {
+        method,
+        headers: auth.headers,
+        ...(body && { body: JSON.stringify(body) }),
+      });
+    } catch (err) {
+      if (attempt >= MAX_ATTEMPTS || !(IDEMPOTENT.has(method) || neverSent(err))) throw err;
+      const delay = limits.backoffMs(attempt);
+      log.warn(`  [retry] ${method} ${path}: ${err.message} — attempt ${attempt + 1} in ${Math.ceil(delay / 1000)}s`);
+      await limits.sleep(delay);
+      continue;
+    }
+    if (res.ok) return res.json();
 
-export async function api(method, path, body) {
-  const res = await fetch(`${BASE_URL}${path}`, {
-    method,
-    headers,
-    ...(body && { body: JSON.stringify(body) }),
-  });
-  if (!res.ok) {
     const text = await res.text();
     let parsed;
     try { parsed = JSON.parse(text); } catch { parsed = null; }
+
+    if (attempt < MAX_ATTEMPTS && res.status === 429) {
+      // Block the bucket so this and any queued requests wait out the limit
+      const wait = limits.retryAfterMs(res.headers.get("retry-after"), parsed) ?? limits.backoffMs(attempt);
+      limits.block(bucket, wait, auth.scope);
+      needSlot = true;
+      log.warn(`  [rate] ${method} ${path} rate limited — ${bucket} blocked for ${Math.ceil(wait / 1000)}s`);
+      continue;
+    }
+    if (attempt < MAX_ATTEMPTS && res.status >= 500 && IDEMPOTENT.has(method)) {
+      const delay = limits.backoffMs(attempt);
+      log.warn(`  [retry] ${method} ${path} failed (${res.status}) — attempt ${attempt + 1} in ${Math.ceil(delay / 1000)}s`);
+      await limits.sleep(delay);
+      continue;
+    }
+
     const err = new Error(`${method} ${path} failed (${res.status}): ${text}`);
     err.status = res.status;
     err.retryAfter = parsed?.retry_after_minutes;
     throw err;
   }
-  return res.json();
 }
 
-export const getMe = () => api("GET", "/agents/me");
-export const getPosts = (submolt, limit = 5) =>
-  api("GET", `/posts?submolt=${submolt}&limit=${limit}`);
-export const getHotFeed = (limit = 25) =>
-  api("GET", `/feed?sort=hot&limit=${limit}`);
-export const getPost = (id) => api("GET", `/posts/${id}`);
-export const getComments = (postId, sort = "top") =>
-  api("GET", `/posts/${postId}/comments?sort=${sort}`);
-export const createPost = (submolt, title, content) =>
-  api("POST", "/posts", { submolt, title, content });
-export const commentOnPost = (postId, content) =>
-  api("POST", `/posts/${postId}/comments`, { content });
-export const upvotePost = (postId) => api("POST", `/posts/${postId}/upvote`);
-export const upvoteComment = (commentId) =>
-  api("POST", `/comments/${commentId}/upvote`);
-export const followAgent = (name) =>
-  api("POST", `/agents/${name}/follow`);
-export const getAgentProfile = (name) =>
-  api("GET", `/agents/profile?name=${name}`);
-export const getLeaderboard = () => api("GET", "/agents/leaderboard");
-export const subscribeMolt = (name) =>
-  api("POST", `/submolts/${name}/subscribe`);
-export const searchPosts = (query, limit = 10) =>
-  api("GET", `/search?q=${encodeURIComponent(query)}&limit=${limit}`);
+// --- Clients ---
+//
+// One client per persona: its requests carry that persona's key and count
+// against that persona's rate limits. Onboarding starts without a key and
+// sets it once it has registered.
+
+export function createClient({ apiKey, scope = "" } = {}) {
+  const auth = { headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" }, scope };
+  const api = (method, path, body) => request(auth, method, path, body);
+
+  const client = {
+    api,
+    setApiKey(key) {
+      auth.headers.Authorization = `Bearer ${key}`;
+    },
+    getMe: () => api("GET", "/agents/me"),
+    registerAgent: (name, description) =>
+      api("POST", "/agents/register", { name, description }),
+    getClaimStatus: () => api("GET", "/agents/status"),
+    updateProfile: (fields) => api("PATCH", "/agents/me", fields),
+    getPosts: (submolt, limit = 5) =>
+      api("GET", `/posts?submolt=${submolt}&limit=${limit}`),
+    getHotFeed: (limit = 25) =>
+      api("GET", `/feed?sort=hot&limit=${limit}`),
+    getPost: (id) => api("GET", `/posts/${id}`),
+    getComments: (postId, sort = "top") =>
+      api("GET", `/posts/${postId}/comments?sort=${sort}`),
+    createPost: (submolt, title, content) =>
+      api("POST", "/posts", { submolt, title, content }),
+    commentOnPost: (postId, content) =>
+      api("POST", `/posts/${postId}/comments`, { content }),
+    replyToComment: (postId, parentId, content) =>
+      api("POST", `/posts/${postId}/comments`, { content, parent_id: parentId }),
+    upvotePost: (postId) => api("POST", `/posts/${postId}/upvote`),
+    upvoteComment: (commentId) =>
+      api("POST", `/comments/${commentId}/upvote`),
+    followAgent: (name) =>
+      api("POST", `/agents/${name}/follow`),
+    getAgentProfile: (name) =>
+      api("GET", `/agents/profile?name=${name}`),
+    getLeaderboard: () => api("GET", "/agents/leaderboard"),
+    getSubmolt: (name) => api("GET", `/submolts/${name}`),
+    subscribeMolt: (name) =>
+      api("POST", `/submolts/${name}/subscribe`),
+    searchPosts: (query, limit = 10) =>
+      api("GET", `/search?q=${encodeURIComponent(query)}&limit=${limit}`),
+    getCommentTree: async (postId) => commentTree(await client.getComments(postId)),
+    autoVerify: (response) => autoVerify(api, response),
+  };
+  return client;
+}
+
+// The client for a persona from lib/personas.js, keyed from its apiKeyEnv
+export function clientFor(profile) {
+  return createClient({ apiKey: process.env[profile.apiKeyEnv], scope: profile.agentName });
+}
+
+// --- Comment threads ---
+
+// Comments may come back nested (`replies`) or flat with `parent_id`; either
+// way this returns every comment once, indexed by id, with parent and
+// children links and its depth (1 for top-level comments)
+export function commentTree(data) {
+  const byId = new Map();
+
+  const visit = (raw, parentId) => {
+    const node = { ...raw, parentId: raw.parent_id ?? raw.parentId ?? parentId ?? null, children: [] };
+    delete node.replies;
+    byId.set(node.id, node);
+    for (const child of raw.replies || []) visit(child, node.id);
+  };
+  for (const raw of data.comments || data || []) visit(raw, null);
+
+  const roots = [];
+  for (const node of byId.values()) {
+    const parent = byId.get(node.parentId);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  const setDepth = (node, depth) => {
+    node.depth = depth;
+    for (const child of node.children) setDepth(child, depth + 1);
+  };
+  for (const root of roots) setDepth(root, 1);
+
+  return { roots, byId };
+}
+
+// The chain of comments from the top-level comment down to (and including) `id`
+export function commentAncestry(tree, id) {
+  const chain = [];
+  for (let node = tree.byId.get(id); node && chain.length < 50; node = tree.byId.get(node.parentId)) {
+    chain.unshift(node);
+  }
+  return chain;
+}
 
 // --- Verification solver ---
+//
+// The deterministic parser in solver.js answers most challenges on its own.
+// When it isn't confident, the LLM pipeline below takes over.
 
 // Stage 1: Deterministic decode — strip obfuscation to get clean English
 function decodeChallenge(challenge) {
@@ -87,13 +206,8 @@ function decodeChallenge(challenge) {
 
 // Stage 2: LLM extracts numbers and operation from decoded text
 async function extractMath(decoded, original) {
-  const response = await anthropic.messages.create({
-    model: "claude-haiku-4-5-20251001",
-    max_tokens: 150,
-    messages: [
-      {
-        role: "user",
-        content: `Below is a decoded (but squished) math word problem. The words are joined together but readable.
+  const text = await complete("verification", {
+    prompt: `Below is a decoded (but squished) math word problem. The words are joined together but readable.
 
 Decoded: ${decoded}
 Original (for extra context): ${original}
@@ -111,13 +225,10 @@ Rules:
 - "double" means multiply first number by 2, so return [first_number, 2] with "multiply"
 
 JSON only:`,
-      },
-    ],
   });
 
-  const text = response.content[0].text.trim();
-  const match = text.match(/\{[\s\S]*\}/);
-  if (!match) throw new Error(`LLM did not return JSON: "${text}"`);
+  const match = text.trim().match(/\{[\s\S]*\}/);
+  if (!match) throw new Error(`LLM did not return JSON: "${text.trim()}"`);
   return JSON.parse(match[0]);
 }
 
@@ -130,13 +241,12 @@ function computeAnswer(numbers, operation) {
     case "subtract": return (a - b).toFixed(2);
     case "multiply": return (a * b).toFixed(2);
     case "divide": return (a / b).toFixed(2);
-    default: return (a + b).toFixed(2); // default to addition
+    default: throw new Error(`Unknown operation "${operation}"`);
   }
 }
 
-export async function solveChallenge(challenge) {
+async function solveWithLlm(challenge) {
   // Stage 1: Deterministic decode
-  log(`  [Stage 1] Raw challenge: "${challenge}"`);
   const decoded = decodeChallenge(challenge);
   log(`  [Stage 1] Decoded: "${decoded}"`);
 
@@ -158,14 +268,43 @@ export async function solveChallenge(challenge) {
   return answer;
 }
 
-export async function autoVerify(response) {
+async function solve(challenge) {
+  log(`  [Solver] Raw challenge: "${challenge}"`);
+  let parsed;
+  try {
+    parsed = parseChallenge(challenge);
+  } catch (err) {
+    parsed = { numbers: [], steps: [], answer: null, confidence: 0 };
+    log.warn(`  [Parser] Failed: ${err.message}`);
+  }
+  const steps = parsed.steps.map((s) => `${s.operation} ${s.operand}`).join(", ");
+  log(`  [Parser] ${parsed.numbers[0] ?? "?"}${steps ? `, ${steps}` : ""} = ${parsed.answer} (confidence ${parsed.confidence})`);
+
+  const { minConfidence } = config.solver;
+  if (parsed.confidence >= minConfidence) return { answer: parsed.answer, source: "parser", parsed };
+  log(`  [Parser] Below ${minConfidence} confidence, asking the LLM`);
+  return { answer: await solveWithLlm(challenge), source: "llm", parsed };
+}
+
+export async function solveChallenge(challenge) {
+  return (await solve(challenge)).answer;
+}
+
+async function autoVerify(api, response) {
   if (!response.verification_required) return response;
-  const answer = await solveChallenge(response.verification.challenge);
-  log(`  Verification answer: ${answer}`);
-  const result = await api("POST", "/verify", {
-    verification_code: response.verification.code,
-    answer,
-  });
+  const { challenge, code } = response.verification;
+  const { answer, source, parsed } = await solve(challenge);
+  log(`  Verification answer: ${answer} (${source})`);
+
+  const entry = { challenge, answer, source, parserAnswer: parsed.answer, parserConfidence: parsed.confidence };
+  let result;
+  try {
+    result = await api("POST", "/verify", { verification_code: code, answer });
+  } catch (err) {
+    recordChallenge({ ...entry, verified: false, error: err.message });
+    throw err;
+  }
+  recordChallenge({ ...entry, verified: result.success !== false });
   log(`  ${result.message}`);
   return result;
 }
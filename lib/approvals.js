@@ -0,0 +1,191 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import config from "../config.js";
+import { log } from "./logger.js";
+
+// --- Approval queue ---
+//
+// Strategies listed in config.approval.strategies don't publish directly:
+// their posts, comments and replies are queued here as drafts, together with
+// the target and the context they were written from. `npm run approvals`
+// lists, edits, approves and rejects them, and the bot publishes approved
+// drafts at the start of its next cycle, as the persona that wrote them.
+// Drafts nobody reviews expire after config.approval.expireHours.
+//
+// The queue is its own JSON file rather than a state namespace so the CLI can
+// change it while the bot is running; every change re-reads the file while
+// holding a lock file next to it, so neither overwrites the other's changes.
+//
+// Draft statuses: pending -> approved -> published | failed
+//                 pending -> rejected | expired
+
+const HOUR_MS = 60 * 60 * 1000;
+// Reviewed drafts kept for reference; older ones are dropped
+const MAX_FINISHED = 200;
+const FINISHED = new Set(["published", "failed", "rejected", "expired"]);
+const LOCK_TIMEOUT_MS = 5000;
+// A lock this old was left by a process that died holding it
+const STALE_LOCK_MS = 30_000;
+
+// Without a queuePath (dry runs) the queue lives in memory
+let memoryQueue = [];
+
+function read() {
+  const file = config.approval.queuePath;
+  if (!file) return memoryQueue;
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, "utf8")).drafts || [];
+}
+
+function write(drafts) {
+  const file = config.approval.queuePath;
+  if (!file) {
+    memoryQueue = drafts;
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ drafts }, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function withLock(fn) {
+  const file = config.approval.queuePath;
+  if (!file) return fn();
+  const lock = `${file}.lock`;
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, "wx"));
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    let age = 0;
+    try { age = Date.now() - fs.statSync(lock).mtimeMs; } catch {}
+    if (age > STALE_LOCK_MS) {
+      fs.rmSync(lock, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) throw new Error(`Approval queue is locked by ${lock}; delete it if no bot or review command is running`);
+    sleepSync(50);
+  }
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+// Read, change and write back under the lock; nothing is written if `fn` throws
+function update(fn) {
+  return withLock(() => {
+    const drafts = read();
+    const result = fn(drafts);
+    const finished = drafts.filter((d) => FINISHED.has(d.status));
+    const dropped = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED)));
+    write(drafts.filter((d) => !dropped.has(d)));
+    return result;
+  });
+}
+
+function change(id, fn) {
+  return update((drafts) => {
+    const draft = drafts.find((d) => d.id === id);
+    if (!draft) throw new Error(`No draft with id "${id}"`);
+    fn(draft);
+    return draft;
+  });
+}
+
+function requirePending(draft) {
+  if (draft.status !== "pending") throw new Error(`Draft ${draft.id} is ${draft.status}, not pending`);
+}
+
+// --- Queueing (bot) ---
+
+export function requiresApproval(strategy) {
+  return Boolean(strategy) && config.approval.strategies.includes(strategy);
+}
+
+// `draft` is { kind: "post"|"comment"|"reply", persona, strategy, target, title?, content, context }
+export function enqueue(draft) {
+  const now = Date.now();
+  const entry = {
+    id: crypto.randomBytes(4).toString("hex"),
+    status: "pending",
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + config.approval.expireHours * HOUR_MS).toISOString(),
+    ...draft,
+  };
+  update((drafts) => drafts.push(entry));
+  log(`  [approval] Queued ${entry.kind} draft ${entry.id} for review`, { draftId: entry.id });
+  return entry;
+}
+
+// Marks pending drafts past their window as expired; returns how many
+export function expire() {
+  const now = new Date().toISOString();
+  const expired = update((drafts) => {
+    const stale = drafts.filter((d) => d.status === "pending" && d.expiresAt <= now);
+    for (const d of stale) d.status = "expired";
+    return stale;
+  });
+  if (expired.length) log(`  [approval] ${expired.length} draft(s) expired unreviewed: ${expired.map((d) => d.id).join(", ")}`);
+  return expired.length;
+}
+
+export function markPublished(id, result = {}) {
+  return change(id, (d) => Object.assign(d, { status: "published", publishedAt: new Date().toISOString(), ...result }));
+}
+
+export function markFailed(id, error) {
+  return change(id, (d) => Object.assign(d, { status: "failed", failedAt: new Date().toISOString(), error }));
+}
+
+// --- Review (CLI) ---
+
+export function list(status) {
+  const drafts = read();
+  return status ? drafts.filter((d) => d.status === status) : drafts;
+}
+
+export function get(id) {
+  const draft = read().find((d) => d.id === id);
+  if (!draft) throw new Error(`No draft with id "${id}"`);
+  return draft;
+}
+
+// The first edit keeps the generated text under `original`
+export function edit(id, { title, content }) {
+  return change(id, (d) => {
+    requirePending(d);
+    if (content !== undefined && !content.trim()) throw new Error("Content can't be empty");
+    if (title !== undefined && d.kind !== "post") throw new Error(`Only posts have a title, ${d.id} is a ${d.kind}`);
+    d.original ??= { ...(d.title !== undefined && { title: d.title }), content: d.content };
+    if (title !== undefined) d.title = title;
+    if (content !== undefined) d.content = content;
+    d.editedAt = new Date().toISOString();
+  });
+}
+
+export function approve(id) {
+  return change(id, (d) => {
+    requirePending(d);
+    if (d.expiresAt <= new Date().toISOString()) throw new Error(`Draft ${d.id} expired at ${d.expiresAt}`);
+    Object.assign(d, { status: "approved", reviewedAt: new Date().toISOString() });
+  });
+}
+
+export function reject(id, reason) {
+  return change(id, (d) => {
+    requirePending(d);
+    Object.assign(d, { status: "rejected", reviewedAt: new Date().toISOString(), ...(reason && { reason }) });
+  });
+}
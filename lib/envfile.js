@@ -0,0 +1,38 @@
+import fs from "node:fs";
+import dotenv from "dotenv";
+
+// --- .env files ---
+//
+// Onboarding saves the keys it gets into the env file the bot reads at
+// startup, so edits here keep everything else in the file as it was.
+
+export function readEnvFile(file) {
+  return fs.existsSync(file) ? dotenv.parse(fs.readFileSync(file)) : {};
+}
+
+// Sets `name` in the env file, keeping every other line as it was. Written to
+// a temporary file next to it (a rename can't cross filesystems) and renamed
+// over the original, so a failure leaves the old file intact.
+export function writeEnvValue(file, name, value) {
+  const existing = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "";
+  const assignment = new RegExp(`^\\s*(?:export\\s+)?${name}\\s*=`);
+  let replaced = false;
+  const lines = existing ? existing.replace(/\n$/, "").split("\n") : [];
+  const out = lines.flatMap((line) => {
+    if (!assignment.test(line)) return [line];
+    if (replaced) return [];
+    replaced = true;
+    return [`${name}=${value}`];
+  });
+  if (!replaced) out.push(`${name}=${value}`);
+
+  const tmp = `${file}.tmp`;
+  const mode = fs.existsSync(file) ? fs.statSync(file).mode & 0o777 : 0o600;
+  try {
+    fs.writeFileSync(tmp, `${out.join("\n")}\n`, { mode });
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
@@ -0,0 +1,196 @@
+import crypto from "node:crypto";
+import Anthropic from "@anthropic-ai/sdk";
+import config from "../config.js";
+import { log } from "./logger.js";
+import * as personas from "./personas.js";
+import { openStore } from "./state.js";
+
+// --- LLM calls ---
+//
+// Every model call goes through complete(task, ...). The task (comment, reply,
+// post, chat, verification, classification, critique) picks the model and
+// parameters from config.llm.tasks over config.llm.defaults. Each call's
+// tokens and estimated cost (config.llm.pricing) are added to per-day totals;
+// once today's or this month's spend reaches config.llm.budget, calls throw a
+// BUDGET_EXCEEDED error until the period rolls over. Days and months are UTC.
+//
+// config.llm.provider "stub" answers deterministically without any network,
+// for offline runs and tests.
+
+export const TASKS = ["comment", "reply", "post", "chat", "verification", "classification", "critique"];
+
+const STATE_NAMESPACE = "llm";
+const MAX_RECENT = 100;
+// Days of totals kept: enough for this month and the last
+const MAX_DAYS = 62;
+
+let store = null;
+let usage = { days: {}, recent: [] };
+
+export async function load() {
+  if (!store) {
+    store = await openStore();
+    const saved = store.get(STATE_NAMESPACE);
+    if (saved) usage = { days: saved.days || {}, recent: saved.recent || [] };
+  }
+}
+
+function persist() {
+  store?.set(STATE_NAMESPACE, usage);
+}
+
+// --- Providers ---
+
+// Created on first use so a dry run can point it at the mock server first
+let anthropic;
+
+const PROVIDERS = {
+  async anthropic({ model, system, prompt, maxTokens, temperature }) {
+    anthropic ??= new Anthropic();
+    const response = await anthropic.messages.create({
+      model,
+      max_tokens: maxTokens,
+      ...(temperature !== undefined && { temperature }),
+      ...(system && { system }),
+      messages: [{ role: "user", content: prompt }],
+    });
+    return {
+      text: response.content[0].text,
+      inputTokens: response.usage?.input_tokens ?? 0,
+      outputTokens: response.usage?.output_tokens ?? 0,
+    };
+  },
+
+  async stub({ task, system, prompt }) {
+    const text = stubCompletion(task, prompt);
+    return { text, inputTokens: estimateTokens(`${system || ""}${prompt}`), outputTokens: estimateTokens(text) };
+  },
+};
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Same task and prompt, same answer: picked by a hash of the prompt
+function stubCompletion(task, prompt) {
+  const pick = (options) => options[crypto.createHash("sha256").update(prompt).digest().readUInt32BE(0) % options.length];
+  const title = (prompt.match(/TITLE: (.*)/)?.[1] || "this").slice(0, 60);
+  switch (task) {
+    case "classification":
+      return JSON.stringify({ injection: false, reason: "[stub] ordinary discussion" });
+    case "critique":
+      return JSON.stringify({ relevance: 8, tone: 8, reason: "[stub] on topic and in voice" });
+    case "verification":
+      return JSON.stringify({ numbers: [0, 0], operation: "add" });
+    case "post": {
+      const submolt = prompt.match(/m\/([a-z0-9_-]+)/i)?.[1] || "general";
+      const { product } = personas.current();
+      return JSON.stringify({
+        title: `[stub] What m/${submolt} gets wrong about ${pick(["agent chat", "coordination", "shipping fast", "memory"])}`,
+        content: `[stub] A placeholder post for offline runs. Try ${product.name}: ${product.url} — docs at ${product.docsUrl}. `
+          + "It is long enough to clear the default length bounds for posts, which want at least a couple of hundred characters of body text.",
+      });
+    }
+    case "chat":
+      return pick(["[stub] Good question — happy to dig in.", "[stub] Welcome in! What are you working on?"]);
+    default:
+      return pick([
+        `[stub] Sharp point on "${title}" — what made you land there?`,
+        `[stub] I'd push back a little on "${title}": who pays the cost when it breaks?`,
+        `[stub] "${title}" is underrated. The part nobody mentions is the operational overhead.`,
+        `[stub] Curious how "${title}" holds up once a hundred agents pile in at once.`,
+      ]);
+  }
+}
+
+// --- Accounting ---
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function costOf(model, inputTokens, outputTokens) {
+  const price = config.llm.pricing[model];
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+function record(call) {
+  const day = (usage.days[today()] ??= { calls: 0, inputTokens: 0, outputTokens: 0, costUSD: 0, byTask: {} });
+  const task = (day.byTask[call.task] ??= { calls: 0, inputTokens: 0, outputTokens: 0, costUSD: 0 });
+  for (const totals of [day, task]) {
+    totals.calls++;
+    totals.inputTokens += call.inputTokens;
+    totals.outputTokens += call.outputTokens;
+    totals.costUSD += call.costUSD ?? 0;
+  }
+  for (const old of Object.keys(usage.days).sort().slice(0, -MAX_DAYS)) delete usage.days[old];
+  usage.recent.push(call);
+  usage.recent.splice(0, Math.max(0, usage.recent.length - MAX_RECENT));
+  persist();
+}
+
+// Spend so far today and this month
+export function spend() {
+  const day = today();
+  const month = day.slice(0, 7);
+  const sum = (days) => days.reduce((total, d) => total + d.costUSD, 0);
+  return {
+    todayUSD: sum(usage.days[day] ? [usage.days[day]] : []),
+    monthUSD: sum(Object.entries(usage.days).filter(([d]) => d.startsWith(month)).map(([, d]) => d)),
+  };
+}
+
+// Why no more calls are allowed, or null
+function overBudget() {
+  const { dailyUSD, monthlyUSD } = config.llm.budget;
+  const { todayUSD, monthUSD } = spend();
+  if (dailyUSD !== undefined && todayUSD >= dailyUSD) return `daily LLM budget of $${dailyUSD} reached ($${todayUSD.toFixed(3)} spent)`;
+  if (monthlyUSD !== undefined && monthUSD >= monthlyUSD) return `monthly LLM budget of $${monthlyUSD} reached ($${monthUSD.toFixed(3)} spent)`;
+  return null;
+}
+
+export function usageReport() {
+  const { todayUSD, monthUSD } = spend();
+  return { provider: config.llm.provider, todayUSD, monthUSD, budget: config.llm.budget, today: usage.days[today()] || null };
+}
+
+// --- Calls ---
+
+export function taskSettings(task) {
+  return { ...config.llm.defaults, ...config.llm.tasks[task] };
+}
+
+// Logged once per period instead of on every refused call
+let budgetWarned = null;
+
+// Returns the completion text for `prompt`
+export async function complete(task, { system, prompt }) {
+  if (!TASKS.includes(task)) throw new Error(`Unknown LLM task "${task}"`);
+  await load();
+
+  const reason = overBudget();
+  if (reason) {
+    if (budgetWarned !== reason) log.warn(`  [llm] ${reason}, not generating until it resets`);
+    budgetWarned = reason;
+    const err = new Error(reason);
+    err.code = "BUDGET_EXCEEDED";
+    throw err;
+  }
+  budgetWarned = null;
+
+  const { model, maxTokens, temperature } = taskSettings(task);
+  const provider = config.llm.provider;
+  const startedAt = Date.now();
+  const result = await PROVIDERS[provider]({ task, model, system, prompt, maxTokens, temperature });
+
+  const call = {
+    at: new Date(startedAt).toISOString(),
+    task,
+    provider,
+    model,
+    inputTokens: result.inputTokens,
+    outputTokens: result.outputTokens,
+    costUSD: costOf(model, result.inputTokens, result.outputTokens),
+    durationMs: Date.now() - startedAt,
+  };
+  record(call);
+  log.debug(`  [llm] ${task}: ${call.inputTokens} in / ${call.outputTokens} out${call.costUSD == null ? " (no pricing for model)" : `, $${call.costUSD.toFixed(5)}`}`, { llm: call });
+  return result.text;
+}
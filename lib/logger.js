@@ -0,0 +1,92 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import fs from "node:fs";
+import path from "node:path";
+import config from "../config.js";
+import { redactSecrets } from "./secrets.js";
+
+// --- Structured logging ---
+//
+// log(msg) logs at info; log.debug/info/warn/error pick a level. Extra fields
+// can be passed per call, and withContext() attaches fields (cycle, mode,
+// strategy, postId, ...) to everything logged inside it, across awaits.
+// Lines logged for a persona (lib/personas.js) carry its name as `agent`, and
+// in text output as a [name] prefix when more than one persona runs.
+//
+// Console output is text or JSON lines (config.logging.format). The optional
+// file sink always writes JSON lines and rotates by size. Secrets are redacted
+// from messages and fields before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+export function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function currentContext() {
+  return context.getStore() || {};
+}
+
+// --- File sink ---
+
+// Size of the current file, tracked so rotation needs no stat per line
+let sink = { file: null, size: 0 };
+
+function rotate(file, maxFiles) {
+  for (let i = maxFiles; i >= 1; i--) {
+    const from = i === 1 ? file : `${file}.${i - 1}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${file}.${i}`);
+  }
+  sink.size = 0;
+}
+
+function writeFile(line) {
+  const { path: file, maxSizeMB, maxFiles } = config.logging.file;
+  try {
+    if (sink.file !== file) {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      sink = { file, size: fs.existsSync(file) ? fs.statSync(file).size : 0 };
+    }
+    const bytes = Buffer.byteLength(line);
+    if (sink.size > 0 && sink.size + bytes > maxSizeMB * 1024 * 1024) rotate(file, maxFiles);
+    fs.appendFileSync(file, line);
+    sink.size += bytes;
+  } catch (err) {
+    // Never let a broken log file take the bot down
+    console.error(`Log file write failed: ${err.message}`);
+  }
+}
+
+// --- Output ---
+
+function redactFields(fields) {
+  return JSON.parse(redactSecrets(JSON.stringify(fields)));
+}
+
+function write(level, msg, fields) {
+  const logging = config.logging;
+  if (LEVELS[level] < LEVELS[logging.level]) return;
+
+  const time = new Date().toISOString();
+  const text = redactSecrets(String(msg));
+  const { persona, ...scope } = currentContext();
+  const extra = redactFields({ agent: persona || config.agentName, ...scope, ...fields });
+  const entry = { time, level, msg: text.trim(), ...extra };
+  const json = `${JSON.stringify(entry)}\n`;
+
+  if (logging.format === "json") {
+    process.stdout.write(json);
+  } else {
+    const tag = level === "info" ? "" : `${level.toUpperCase()} `;
+    const who = persona && config.personas?.some((p) => p.enabled) ? `[${persona}] ` : "";
+    const out = level === "error" || level === "warn" ? console.error : console.log;
+    out(`[${time}] ${who}${tag}${text}`);
+  }
+  if (logging.file?.path) writeFile(json);
+}
+
+export function log(msg, fields) {
+  write("info", msg, fields);
+}
+for (const level of Object.keys(LEVELS)) log[level] = (msg, fields) => write(level, msg, fields);
@@ -0,0 +1,108 @@
+import path from "node:path";
+import config from "../config.js";
+import { currentContext, withContext } from "./logger.js";
+
+// --- Personas ---
+//
+// One process can run several agents. The top-level agentName, apiKeyEnv,
+// identity, personality, product, modes and moltbook fields are the primary
+// persona; each enabled entry of config.personas is another, inheriting the
+// top-level fields it doesn't set. Every persona has its own API key, state
+// and mode schedules. LLM budgets, the approval queue, the chat room and the
+// admin server are shared.
+//
+// Code running for a persona does so inside withPersona(), which tags its log
+// lines and tells per-persona state (schedules, caps, analytics, quality
+// history) which persona it belongs to.
+
+const INHERITED = ["identity", "description", "personality", "product", "modes", "moltbook"];
+
+// data/state.json -> data/state-keymaster.json
+function derivedStatePath(file, agentName) {
+  const slug = agentName.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  const { dir, name, ext } = path.parse(file);
+  return path.join(dir, `${name}-${slug}${ext}`);
+}
+
+function primaryProfile(cfg) {
+  return {
+    agentName: cfg.agentName,
+    apiKeyEnv: cfg.apiKeyEnv,
+    ...Object.fromEntries(INHERITED.map((key) => [key, cfg[key]])),
+    state: cfg.state,
+    primary: true,
+  };
+}
+
+// Every persona, the primary first; disabled ones only with `all`
+export function profiles(cfg = config, { all = false } = {}) {
+  const primary = primaryProfile(cfg);
+  const others = (cfg.personas || [])
+    .filter((p) => all || p.enabled)
+    .map((p) => ({
+      agentName: p.agentName,
+      apiKeyEnv: p.apiKeyEnv,
+      ...Object.fromEntries(INHERITED.map((key) => [key, p[key] ?? cfg[key]])),
+      state: { ...cfg.state, path: p.state?.path || derivedStatePath(cfg.state.path || "data/state.json", p.agentName) },
+      primary: false,
+    }));
+  return [primary, ...others];
+}
+
+export function primary() {
+  return primaryProfile(config);
+}
+
+// The persona named `agentName`, read from the current config
+export function get(agentName) {
+  return profiles(config, { all: true }).find((p) => p.agentName === agentName) || null;
+}
+
+// Looks a persona up by name for the command line tools, case-insensitively
+export function find(name) {
+  if (!name) return primary();
+  const all = profiles(config, { all: true });
+  const found = all.find((p) => p.agentName.toLowerCase() === name.toLowerCase());
+  if (!found) throw new Error(`Unknown persona "${name}" (expected one of: ${all.map((p) => p.agentName).join(", ")})`);
+  return found;
+}
+
+// Names, keys and state files that two personas can't share
+export function checkPersonas(cfg) {
+  const problems = [];
+  const seen = { agentName: new Map(), apiKeyEnv: new Map(), state: new Map() };
+  profiles(cfg, { all: true }).forEach((p, i) => {
+    const at = i === 0 ? "config" : `config.personas[${i - 1}]`;
+    const values = { agentName: p.agentName, apiKeyEnv: p.apiKeyEnv, state: p.state.path && path.resolve(p.state.path) };
+    for (const [key, value] of Object.entries(values)) {
+      if (!value) continue;
+      const other = seen[key].get(value);
+      if (other) problems.push(`${at}.${key === "state" ? "state.path" : key}: ${JSON.stringify(value)} is already used by ${other}`);
+      else seen[key].set(value, at);
+    }
+  });
+  return problems;
+}
+
+// --- Context ---
+
+export function withPersona(profile, fn) {
+  return withContext({ persona: profile.agentName }, fn);
+}
+
+// The persona the running code acts for; the primary outside withPersona()
+export function current() {
+  const name = currentContext().persona;
+  return (name && get(name)) || primary();
+}
+
+// A value kept per persona, created on first use: for modules whose
+// in-memory state belongs to whichever persona is running
+export function scoped(create) {
+  const byPersona = new Map();
+  return () => {
+    const { agentName, state } = current();
+    if (!byPersona.has(agentName)) byPersona.set(agentName, create(state));
+    return byPersona.get(agentName);
+  };
+}
@@ -0,0 +1,130 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import YAML from "yaml";
+import config from "../config.js";
+import { log } from "./logger.js";
+import * as personas from "./personas.js";
+
+// --- Prompt templates ---
+//
+// The comment, reply and post prompts live in config.prompts.dir as
+// <name>.yaml, each with one or more weighted variants (versions of the
+// prompt). Every generated item picks a variant in proportion to the weights
+// and keeps it through quality-gate retries; its id ("comment/v2-question")
+// is recorded with the published item so engagement can be compared per
+// variant (`npm run report`). Files are re-read when they change; a broken
+// edit is logged and the last good version stays in use.
+
+export const TEMPLATES = ["comment", "reply", "post"];
+
+const SHARED = ["agentName", "productName", "productDescription", "productUrl", "docsUrl"];
+const VARIABLES = {
+  comment: ["submolt", "upvotes", "title", "author", "content", "topComments", "learning", "feedback"],
+  reply: ["submolt", "postTitle", "situation", "thread", "commenter", "comment", "feedback"],
+  post: ["submolt", "trending", "learning", "feedback"],
+};
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+const VARIANT_KEY = /^[a-z0-9][a-z0-9._-]*$/;
+
+// name -> { mtimeMs, variants: [{ key, id, weight, notes, template }] }
+const cache = new Map();
+
+function fileFor(name) {
+  return path.resolve(config.prompts.dir, `${name}.yaml`);
+}
+
+// Throws with every problem in the file at once
+function parse(name, text) {
+  const doc = YAML.parse(text);
+  const problems = [];
+  const variants = [];
+  const allowed = new Set([...SHARED, ...VARIABLES[name]]);
+  for (const [key, v] of Object.entries(doc?.variants || {})) {
+    const at = `variants.${key}`;
+    if (!VARIANT_KEY.test(key)) problems.push(`${at}: variant names are lowercase letters, digits, ".", "_" and "-"`);
+    if (typeof v?.template !== "string" || !v.template.trim()) {
+      problems.push(`${at}.template: expected a non-empty string`);
+      continue;
+    }
+    const weight = v.weight ?? 1;
+    if (typeof weight !== "number" || !(weight >= 0)) problems.push(`${at}.weight: expected a number of at least 0, got ${JSON.stringify(v.weight)}`);
+    for (const [, placeholder] of v.template.matchAll(PLACEHOLDER)) {
+      if (!allowed.has(placeholder)) problems.push(`${at}.template: unknown placeholder {{${placeholder}}} (expected one of: ${[...allowed].join(", ")})`);
+    }
+    variants.push({ key, id: `${name}/${key}`, weight, notes: v.notes || null, template: v.template });
+  }
+  if (!variants.length) problems.push("variants: needs at least one variant");
+  else if (!variants.some((v) => v.weight > 0)) problems.push("variants: at least one variant needs a weight above 0");
+  if (problems.length) throw new Error(`Invalid prompt file ${fileFor(name)}:\n  ${problems.join("\n  ")}`);
+  return variants;
+}
+
+// The variants of template `name`, re-read when the file has changed
+export function variants(name) {
+  if (!TEMPLATES.includes(name)) throw new Error(`Unknown prompt template "${name}"`);
+  const file = fileFor(name);
+  const cached = cache.get(name);
+  const { mtimeMs } = fs.statSync(file);
+  if (cached?.mtimeMs === mtimeMs) return cached.variants;
+  try {
+    const loaded = parse(name, fs.readFileSync(file, "utf8"));
+    cache.set(name, { mtimeMs, variants: loaded });
+    if (cached) log(`  [prompts] Reloaded ${name} prompts: ${loaded.map((v) => `${v.key} (weight ${v.weight})`).join(", ")}`);
+    return loaded;
+  } catch (err) {
+    if (!cached) throw err;
+    log.error(`  [prompts] ${err.message}\n  Keeping the previous ${name} prompts`);
+    // Don't re-read the broken file on every draft
+    cached.mtimeMs = mtimeMs;
+    return cached.variants;
+  }
+}
+
+// Loads every template so a broken file stops startup instead of a cycle
+export function checkPrompts() {
+  const problems = [];
+  for (const name of TEMPLATES) {
+    try {
+      variants(name);
+    } catch (err) {
+      problems.push(err.code === "ENOENT" ? `Missing prompt file ${fileFor(name)}` : err.message);
+    }
+  }
+  return problems;
+}
+
+// A variant id for the next `name` item, drawn by weight
+export function pick(name) {
+  const live = variants(name).filter((v) => v.weight > 0);
+  const total = live.reduce((sum, v) => sum + v.weight, 0);
+  let r = (crypto.randomInt(1_000_000) / 1_000_000) * total;
+  for (const v of live) {
+    r -= v.weight;
+    if (r < 0) return v.id;
+  }
+  return live.at(-1).id;
+}
+
+// The prompt text for variant `id` ("comment/v1"), with the agent and product
+// of `profile`. A retired variant (weight 0) still renders, so queued drafts
+// and retries keep theirs.
+export function render(id, vars, profile = personas.current()) {
+  const [name, key] = id.split("/");
+  const variant = variants(name).find((v) => v.key === key);
+  if (!variant) throw new Error(`Unknown prompt variant "${id}"`);
+  const values = {
+    agentName: profile.agentName,
+    productName: profile.product.name,
+    productDescription: profile.product.description,
+    productUrl: profile.product.url,
+    docsUrl: profile.product.docsUrl,
+    ...vars,
+  };
+  return variant.template.replace(PLACEHOLDER, (_, placeholder) => {
+    const value = values[placeholder];
+    if (value === undefined || value === null) throw new Error(`Prompt variant ${id} needs {{${placeholder}}}, which wasn't provided`);
+    return String(value);
+  });
+}
@@ -0,0 +1,112 @@
+import config from "../config.js";
+import { stopping } from "./shutdown.js";
+
+// --- Per-endpoint request budgets ---
+//
+// Every api() call waits for a slot in its bucket. Writes are paced by the
+// limits in config.rateLimits and queued (not dropped) until allowed. A 429
+// from the server blocks the whole bucket until its retry-after passes.
+// A wait longer than rateLimits.maxQueueMinutes (say, a spent daily budget)
+// isn't queued: the call fails at once with a 429 of our own, which callers
+// already handle as "try again later", instead of stalling the cycle.
+// Moltbook limits each API key separately, so every persona's client passes
+// its own `scope` and gets its own set of buckets. A queued request hasn't
+// been sent yet, so a shutdown drops it rather than waiting out the queue.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const buckets = new Map();
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Sleeps like sleep(), but throws (err.code "SHUTTING_DOWN") once a shutdown starts
+async function queueWait(ms) {
+  const until = Date.now() + ms;
+  for (let left = ms; left > 0; left = until - Date.now()) {
+    if (stopping()) {
+      const err = new Error("Shutting down, request dropped from the queue");
+      err.code = "SHUTTING_DOWN";
+      throw err;
+    }
+    await sleep(Math.min(left, 1000));
+  }
+}
+
+export function bucketFor(method, path) {
+  const route = path.split("?")[0];
+  if (method !== "POST") return "read";
+  if (route === "/posts") return "post";
+  if (/^\/posts\/[^/]+\/comments$/.test(route)) return "comment";
+  if (/\/upvote$/.test(route)) return "upvote";
+  if (/^\/agents\/[^/]+\/follow$/.test(route)) return "follow";
+  return "write";
+}
+
+function bucket(name, scope) {
+  const key = `${scope}:${name}`;
+  if (!buckets.has(key)) {
+    buckets.set(key, { lastAt: 0, history: [], blockedUntil: 0, queue: Promise.resolve() });
+  }
+  return buckets.get(key);
+}
+
+// Milliseconds until the bucket allows another request (0 = now)
+function waitTime(name, scope, now) {
+  const limits = config.rateLimits?.[name] || {};
+  const b = bucket(name, scope);
+  b.history = b.history.filter((t) => now - t < DAY_MS);
+
+  let until = b.blockedUntil;
+  if (limits.minIntervalSeconds) until = Math.max(until, b.lastAt + limits.minIntervalSeconds * 1000);
+  if (limits.perDay && b.history.length >= limits.perDay) until = Math.max(until, b.history[0] + DAY_MS);
+  return Math.max(0, until - now);
+}
+
+// Resolves once the request may be sent; rejects with err.status 429 (and
+// retryAfter in minutes) when that is more than maxQueueMinutes away
+export function acquire(name, onWait, scope = "") {
+  const b = bucket(name, scope);
+  const turn = b.queue.then(async () => {
+    const wait = waitTime(name, scope, Date.now());
+    const maxWait = (config.rateLimits?.maxQueueMinutes ?? 60) * 60 * 1000;
+    if (wait > maxWait) {
+      const err = new Error(`${name} budget exhausted for another ${Math.ceil(wait / 60000)} min`);
+      err.status = 429;
+      err.retryAfter = Math.ceil(wait / 60000);
+      throw err;
+    }
+    if (wait) {
+      onWait?.(wait);
+      await queueWait(wait);
+    }
+    b.lastAt = Date.now();
+    b.history.push(b.lastAt);
+  });
+  b.queue = turn.catch(() => {});
+  return turn;
+}
+
+export function block(name, ms, scope = "") {
+  const b = bucket(name, scope);
+  b.blockedUntil = Math.max(b.blockedUntil, Date.now() + ms);
+}
+
+// --- Retry timing ---
+
+// Server hint from the body (retry_after_minutes / _seconds) or Retry-After header
+export function retryAfterMs(header, parsed) {
+  if (parsed?.retry_after_minutes != null) return parsed.retry_after_minutes * 60 * 1000;
+  if (parsed?.retry_after_seconds != null) return parsed.retry_after_seconds * 1000;
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter: ~1s, 2s, 4s... capped at 30s
+export function backoffMs(attempt) {
+  const ceiling = Math.min(30000, 1000 * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
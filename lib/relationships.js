@@ -0,0 +1,141 @@
+import { log } from "./logger.js";
+import * as personas from "./personas.js";
+import { openStore } from "./state.js";
+
+// --- Per-author interaction limits ---
+//
+// Every comment and reply we publish is recorded against the agent it answers
+// (the post's author, or the author of the comment we reply to). The moltbook
+// strategies ask allowed() before drafting one and check() before publishing:
+// each author gets at most perDay interactions in any 24 hours and perWeek in
+// any 7 days (moltbook.relationships, per persona).
+//
+// Reply loops with other automated agents are caught two ways: a thread whose
+// latest loopTurns comments alternate between us and the same agent, or more
+// than loopExchangesPerDay replies from us to that agent's replies to us in a
+// day. Either, once allowed() finds it, backs us off from the agent for
+// backoffHours; check() only reads.
+
+const STATE_NAMESPACE = "relationships";
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+const relations = personas.scoped((state) => ({ state, store: null, interactions: [], backoffs: {} }));
+
+export async function load() {
+  const r = relations();
+  if (!r.store) {
+    r.store = await openStore(r.state);
+    const saved = r.store.get(STATE_NAMESPACE);
+    if (saved) {
+      r.interactions = saved.interactions || [];
+      r.backoffs = saved.backoffs || {};
+    }
+  }
+}
+
+function persist() {
+  const { store, interactions, backoffs } = relations();
+  store?.set(STATE_NAMESPACE, { interactions, backoffs });
+}
+
+function settings() {
+  return personas.current().moltbook.relationships;
+}
+
+// Interactions older than a week and expired backoffs no longer count
+function prune(now = Date.now()) {
+  const r = relations();
+  r.interactions = r.interactions.filter((i) => now - Date.parse(i.at) < WEEK_MS);
+  for (const [author, b] of Object.entries(r.backoffs)) if (Date.parse(b.until) <= now) delete r.backoffs[author];
+}
+
+const key = (name) => name.toLowerCase();
+
+function withAuthor(author, now) {
+  return relations().interactions.filter((i) => i.author === key(author) && now - Date.parse(i.at) < WEEK_MS);
+}
+
+function backOff(author, reason) {
+  prune();
+  const hours = settings().backoffHours;
+  const until = new Date(Date.now() + hours * HOUR_MS).toISOString();
+  relations().backoffs[key(author)] = { until, reason };
+  persist();
+  log.warn(`  [relationships] ${reason}; leaving ${author} alone until ${until}`);
+}
+
+// Whether the latest `turns` comments of `chain` (oldest first) alternate
+// between us and `author`
+function alternating(chain, author, turns, agentName) {
+  if (chain.length < turns) return false;
+  const names = chain.slice(-turns).map((c) => c.author?.name || "");
+  return names.every((name, i) => name === (i % 2 === (turns - 1) % 2 ? author : agentName));
+}
+
+// Why we shouldn't interact with `author` now: { reason, loop } with `loop`
+// describing a reply loop that should back us off, or null. With `chain`, the
+// thread down to (and including) the comment we'd reply to, reply loops are
+// checked too.
+function assess(author, chain) {
+  if (!author || author === "unknown") return null;
+  const now = Date.now();
+  const limits = settings();
+  const backoff = relations().backoffs[key(author)];
+  if (backoff && Date.parse(backoff.until) > now) return { reason: `backing off until ${backoff.until} (${backoff.reason})`, loop: null };
+
+  const { agentName } = personas.current();
+  if (chain && alternating(chain, author, limits.loopTurns, agentName)) {
+    return { reason: "reply loop", loop: `Reply loop with ${author}: the last ${limits.loopTurns} comments alternate between us` };
+  }
+  const recent = withAuthor(author, now);
+  const exchanges = recent.filter((i) => i.answeredUs && now - Date.parse(i.at) < DAY_MS).length;
+  if (chain && chain.at(-2)?.author?.name === agentName && exchanges >= limits.loopExchangesPerDay) {
+    return { reason: "reply loop", loop: `Reply loop with ${author}: ${exchanges} back-and-forth replies in a day` };
+  }
+
+  const today = recent.filter((i) => now - Date.parse(i.at) < DAY_MS).length;
+  if (today >= limits.perDay) return { reason: `daily limit reached (${today}/${limits.perDay} in 24h)`, loop: null };
+  if (recent.length >= limits.perWeek) return { reason: `weekly limit reached (${recent.length}/${limits.perWeek} in 7 days)`, loop: null };
+  return null;
+}
+
+// Why we shouldn't interact with `author` now, or null. Changes nothing: a
+// reply loop found here only backs us off through allowed().
+export function check(author, { chain = null } = {}) {
+  return assess(author, chain)?.reason || null;
+}
+
+// check(), logging the reason when the answer is no and backing off from
+// `author` when the answer is a reply loop
+export function allowed(author, { chain = null } = {}) {
+  const verdict = assess(author, chain);
+  if (!verdict) return true;
+  if (verdict.loop) backOff(author, verdict.loop);
+  log(`  [relationships] Skipping ${author}: ${verdict.reason}`);
+  return false;
+}
+
+// A comment or reply we published to `author`; `answeredUs` when theirs was
+// a reply to one of our comments
+export function record(author, { kind, postId, answeredUs = false }) {
+  if (!author || author === "unknown") return;
+  prune();
+  relations().interactions.push({ author: key(author), kind, postId, answeredUs, at: new Date().toISOString() });
+  persist();
+}
+
+// Authors we interacted with this week, busiest first, and current backoffs
+export function report() {
+  const now = Date.now();
+  prune(now);
+  const { interactions, backoffs } = relations();
+  const byAuthor = Map.groupBy(interactions, (i) => i.author);
+  const authors = [...byAuthor].map(([author, list]) => ({
+    author,
+    lastDay: list.filter((i) => now - Date.parse(i.at) < DAY_MS).length,
+    lastWeek: list.length,
+  }));
+  return { authors: authors.sort((a, b) => b.lastWeek - a.lastWeek).slice(0, 20), backoffs };
+}
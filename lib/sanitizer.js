@@ -0,0 +1,98 @@
+import config from "../config.js";
+import { log } from "./logger.js";
+import { findSecrets, redactSpans } from "./secrets.js";
+
+// --- Output sanitizer ---
+//
+// Checks generated text before it is published and decides, with reason codes:
+//   allow    nothing found (CLEAN)
+//   redact   only spans that are safe to cut out: credential shapes
+//            (SECRET_FORMAT), random tokens (HIGH_ENTROPY), pointers at secrets
+//            (SECRET_REFERENCE) and links off the allowlist (LINK_NOT_ALLOWED)
+//   reject   a real secret value or fragment (SECRET_VALUE, SECRET_FRAGMENT):
+//            the model had it in view, so nothing else it wrote is trusted
+//            either; or so much was redacted the rest is noise (OVER_REDACTED)
+//
+// Links may only point at the hosts of the persona's product url and docsUrl,
+// plus config.sanitizer.allowedDomains, or their subdomains.
+
+const REJECT = new Set(["SECRET_VALUE", "SECRET_FRAGMENT"]);
+
+const REPLACEMENTS = {
+  LINK_NOT_ALLOWED: "[link removed]",
+  default: "[redacted]",
+};
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`)\]]+/gi;
+// Bare domains the model might write without a scheme ("evil.com/login")
+const BARE_DOMAIN = /\b(?:[a-z0-9-]+\.)+(?:com|net|org|io|ai|dev|app|xyz|co|me|sh|gg|ly|info|biz|site|link|click|top)\b(?:\/[^\s<>"'`)\]]*)?/gi;
+
+export function allowedHosts(product = config.product) {
+  const hosts = [product.url, product.docsUrl]
+    .map((url) => {
+      try { return new URL(url).hostname; } catch { return null; }
+    })
+    .filter(Boolean);
+  return [...new Set([...hosts, ...config.sanitizer.allowedDomains])].map((h) => h.toLowerCase().replace(/^www\./, ""));
+}
+
+function hostAllowed(host, allowed) {
+  const h = host.toLowerCase().replace(/^www\./, "");
+  return allowed.some((a) => h === a || h.endsWith(`.${a}`));
+}
+
+function findLinks(text, product) {
+  const allowed = allowedHosts(product);
+  const found = [];
+  for (const m of text.matchAll(URL_PATTERN)) {
+    // Trailing punctuation belongs to the sentence, not the link
+    const url = m[0].replace(/[.,;:!?]+$/, "");
+    let host = null;
+    try { host = new URL(url).hostname; } catch {}
+    if (!host || !hostAllowed(host, allowed)) found.push({ code: "LINK_NOT_ALLOWED", start: m.index, end: m.index + url.length, detail: host || url });
+  }
+  const withoutUrls = text.replace(URL_PATTERN, (url) => " ".repeat(url.length));
+  for (const m of withoutUrls.matchAll(BARE_DOMAIN)) {
+    const host = m[0].split("/")[0];
+    if (!hostAllowed(host, allowed)) found.push({ code: "LINK_NOT_ALLOWED", start: m.index, end: m.index + m[0].length, detail: host });
+  }
+  return found;
+}
+
+// Returns { action, text, reasons }; `text` is null when rejected
+export function inspect(text, product) {
+  const findings = [...findSecrets(text), ...findLinks(text, product)].sort((a, b) => a.start - b.start);
+  const codes = [...new Set(findings.map((f) => f.code))];
+  if (!findings.length) return { action: "allow", text, reasons: ["CLEAN"] };
+
+  if (codes.some((c) => REJECT.has(c))) return { action: "reject", text: null, reasons: codes };
+
+  // Links are cut before secrets so the two never overlap in one pass
+  const links = findings.filter((f) => f.code === "LINK_NOT_ALLOWED");
+  let out = redactSpans(text, links, REPLACEMENTS.LINK_NOT_ALLOWED);
+  out = redactSpans(out, findSecrets(out), REPLACEMENTS.default);
+
+  const removed = findings.reduce((sum, f) => sum + (f.end - f.start), 0);
+  if (removed / text.length > config.sanitizer.maxRedactedRatio) {
+    return { action: "reject", text: null, reasons: [...codes, "OVER_REDACTED"] };
+  }
+  return { action: "redact", text: out, reasons: codes, links: links.map((f) => f.detail) };
+}
+
+// The publishable version of `text`, or null. Every non-clean decision is
+// logged with its reason codes under the `sanitizer` field. `product` is the
+// block whose links are allowed (config.product by default).
+export function sanitize(text, label = "output", product) {
+  const result = inspect(text, product);
+  if (result.action === "allow") return text;
+
+  const fields = {
+    sanitizer: { action: result.action, reasons: result.reasons, ...(result.links?.length && { links: result.links }), excerpt: text.slice(0, 120) },
+  };
+  if (result.action === "reject") {
+    log.warn(`  [sanitizer] Rejected ${label} (${result.reasons.join(", ")})`, fields);
+    return null;
+  }
+  log(`  [sanitizer] Redacted ${label} (${result.reasons.join(", ")})`, fields);
+  return result.text;
+}
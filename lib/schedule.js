@@ -0,0 +1,217 @@
+import config from "../config.js";
+import * as personas from "./personas.js";
+import { openStore } from "./state.js";
+
+// --- Strategy scheduling ---
+//
+// Each mode strategy runs on its own schedule: every N hours or on a cron
+// expression, plus up to jitterMinutes of random delay. bot.js ticks every
+// config.schedule.tickSeconds and runs whatever is due, outside quiet hours.
+// Daily caps bound how many posts, comments, replies, upvotes and follows go
+// out per day whatever the schedules say. Cron fields, quiet hours and days
+// are read in config.schedule.timezone.
+//
+// Next run times and today's cap counts are persisted, so restarts neither
+// rerun a strategy early nor reset the caps. Both are kept per persona: each
+// persona's schedules and caps are its own.
+
+const STATE_NAMESPACE = "schedule";
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const schedules = personas.scoped((state) => ({ state, store: null, nextRuns: {}, caps: { day: null, counts: {} } }));
+
+export async function load() {
+  const s = schedules();
+  if (!s.store) {
+    s.store = await openStore(s.state);
+    const saved = s.store.get(STATE_NAMESPACE);
+    if (saved) {
+      s.nextRuns = saved.nextRuns || {};
+      s.caps = saved.caps || s.caps;
+    }
+  }
+}
+
+function persist() {
+  const { store, nextRuns, caps } = schedules();
+  store?.set(STATE_NAMESPACE, { nextRuns, caps });
+}
+
+// --- Local time ---
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const formatters = new Map();
+
+function localTime(ms, timeZone = config.schedule.timezone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(ms)).map((p) => [p.type, p.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+}
+
+export function checkTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// --- Cron ---
+
+// minute hour day-of-month month day-of-week, each "*", "5", "1-5", "*/15",
+// "0-30/10" or a comma list of those. Day-of-week 0 and 7 are Sunday.
+const CRON_FIELDS = [
+  ["minute", 0, 59],
+  ["hour", 0, 23],
+  ["day", 1, 31],
+  ["month", 1, 12],
+  ["weekday", 0, 7],
+];
+
+function parseField(text, [name, min, max]) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const m = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!m) throw new Error(`invalid ${name} field "${text}"`);
+    const [, start, end, step = "1"] = m;
+    const lo = start === "*" ? min : Number(start);
+    const hi = start === "*" ? max : end !== undefined ? Number(end) : m[3] ? max : lo;
+    if (lo < min || hi > max || lo > hi || Number(step) < 1) throw new Error(`${name} field "${text}" is out of range ${min}-${max}`);
+    for (let v = lo; v <= hi; v += Number(step)) values.add(name === "weekday" ? v % 7 : v);
+  }
+  return { values, any: text === "*" };
+}
+
+export function parseCron(expr) {
+  const fields = expr.trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`cron "${expr}" needs 5 fields (minute hour day month weekday)`);
+  const [minute, hour, day, month, weekday] = fields.map((f, i) => parseField(f, CRON_FIELDS[i]));
+  return { minute, hour, day, month, weekday };
+}
+
+// Like cron: when both day fields are restricted, either one matching is enough
+function dayMatches(cron, t) {
+  const dom = cron.day.values.has(t.day);
+  const dow = cron.weekday.values.has(t.weekday);
+  if (cron.day.any || cron.weekday.any) return dom && dow;
+  return dom || dow;
+}
+
+// The first minute after `after` that matches, skipping whole days and hours
+export function nextCron(expr, after, timeZone) {
+  const cron = parseCron(expr);
+  const limit = after + 8 * 366 * 24 * HOUR_MS;
+  let t = Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  while (t <= limit) {
+    const local = localTime(t, timeZone);
+    if (!cron.month.values.has(local.month) || !dayMatches(cron, local)) {
+      t += ((23 - local.hour) * 60 + (60 - local.minute)) * MINUTE_MS;
+    } else if (!cron.hour.values.has(local.hour)) {
+      t += (60 - local.minute) * MINUTE_MS;
+    } else if (!cron.minute.values.has(local.minute)) {
+      t += MINUTE_MS;
+    } else {
+      return t;
+    }
+  }
+  throw new Error(`cron "${expr}" never matches`);
+}
+
+// --- Quiet hours ---
+
+const minutesOf = (clock) => {
+  const [h, m] = clock.split(":").map(Number);
+  return h * 60 + m;
+};
+
+export function inQuietHours(now = Date.now()) {
+  const quiet = config.schedule.quietHours;
+  if (!quiet) return false;
+  const local = localTime(now);
+  const at = local.hour * 60 + local.minute;
+  const start = minutesOf(quiet.start);
+  const end = minutesOf(quiet.end);
+  return start <= end ? at >= start && at < end : at >= start || at < end;
+}
+
+// --- Next runs ---
+
+// `spec` is { everyHours } or { cron }, with optional jitterMinutes
+function nextAfter(spec, now) {
+  const base = spec.cron ? nextCron(spec.cron, now, config.schedule.timezone) : now + spec.everyHours * HOUR_MS;
+  return base + Math.round(Math.random() * (spec.jitterMinutes || 0) * MINUTE_MS);
+}
+
+// When `key` should next run. A strategy seen for the first time, or whose
+// schedule changed, runs now if it is interval-based or at its next cron time.
+export function dueAt(key, spec, now = Date.now()) {
+  const { nextRuns } = schedules();
+  const signature = JSON.stringify(spec);
+  const entry = nextRuns[key];
+  if (entry?.spec === signature) return entry.at;
+  const at = spec.cron ? nextAfter(spec, now) : now;
+  nextRuns[key] = { at, spec: signature };
+  persist();
+  return at;
+}
+
+export function markRan(key, spec, now = Date.now()) {
+  schedules().nextRuns[key] = { at: nextAfter(spec, now), spec: JSON.stringify(spec) };
+  persist();
+}
+
+export function nextRunAt(key) {
+  const at = schedules().nextRuns[key]?.at;
+  return at ? new Date(at).toISOString() : null;
+}
+
+// --- Daily caps ---
+
+function today() {
+  const { year, month, day } = localTime(Date.now());
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+function counts() {
+  const s = schedules();
+  const day = today();
+  if (s.caps.day !== day) s.caps = { day, counts: {} };
+  return s.caps.counts;
+}
+
+// How many more `action`s today allows (Infinity without a cap)
+export function remaining(action) {
+  const cap = config.schedule.dailyCaps[action];
+  return cap === undefined ? Infinity : Math.max(0, cap - (counts()[action] || 0));
+}
+
+export function spend(action) {
+  const used = counts();
+  used[action] = (used[action] || 0) + 1;
+  persist();
+}
+
+export function capsUsed() {
+  const used = counts();
+  return Object.fromEntries(Object.entries(config.schedule.dailyCaps).map(([action, cap]) => [action, { used: used[action] || 0, cap }]));
+}
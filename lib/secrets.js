@@ -0,0 +1,145 @@
+import config from "../config.js";
+
+// --- Secret detection ---
+//
+// Shared by the output sanitizer (lib/sanitizer.js) and the logger. Findings
+// carry a reason code and the span they cover, so callers can redact just that
+// span or reject the whole text:
+//   SECRET_VALUE      the value of a secret env var (see SECRET_NAME)
+//   SECRET_FRAGMENT   8+ characters copied out of one
+//   SECRET_FORMAT     a known credential shape (sk-..., ghp_..., Bearer ...)
+//   HIGH_ENTROPY      a random-looking token in no known format
+//   SECRET_REFERENCE  a pointer at where secrets live (process.env.X, *_API_KEY)
+
+// Env vars holding a secret besides the configured key names: only these
+// suffixes, so the likes of SSH_AUTH_SOCK or GPG_KEY_ID aren't masked
+const SECRET_NAME = /_(API_KEY|TOKEN|SECRET|PASSWORD)$/i;
+
+const SECRET_FORMATS = [
+  /\bsk-[a-zA-Z0-9_-]{20,}/g,
+  /\bkey-[a-zA-Z0-9]{20,}/g,
+  /\bBearer\s+[a-zA-Z0-9._-]{20,}/gi,
+  /\bgh[pousr]_[a-zA-Z0-9]{30,}/g,
+  /\bxox[bpas]-[a-zA-Z0-9-]{10,}/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----/g,
+];
+
+const SECRET_REFERENCES = [
+  /\bprocess\.env\.[A-Za-z_][A-Za-z0-9_]*/g,
+  /\b[A-Z][A-Z0-9]*_(API_KEY|TOKEN|SECRET)\b/g,
+];
+
+export function knownSecrets() {
+  const names = new Set([config.apiKeyEnv, config.admin?.tokenEnv, ...(config.personas || []).map((p) => p.apiKeyEnv)]);
+  for (const name of Object.keys(process.env)) if (SECRET_NAME.test(name)) names.add(name);
+  return [...names]
+    .map((name) => process.env[name])
+    .filter((value) => value && value.length >= 8 && !/^(true|false|\d+)$/i.test(value));
+}
+
+// --- Entropy ---
+
+const TOKEN = /[A-Za-z0-9_\-+/=]{20,}/g;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function shannonEntropy(s) {
+  const counts = new Map();
+  for (const ch of s) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) bits -= (n / s.length) * Math.log2(n / s.length);
+  return bits;
+}
+
+// Random tokens mix letters and digits and spread across many symbols; slugs,
+// words and ids don't. Hex can carry at most 4 bits per character, so it gets
+// its own, lower bar.
+function looksRandom(token) {
+  if (UUID.test(token)) return false;
+  // Slugs and identifiers: every separated chunk is a plain word or a number
+  if (token.split(/[-_/+=]/).every((part) => /^([A-Z]?[a-z]*|[A-Z]*|\d*)$/.test(part))) return false;
+  if (/^[0-9a-f]+$/i.test(token)) return token.length >= 32 && shannonEntropy(token) >= 3.0;
+  if (!/[0-9]/.test(token) || !/[a-zA-Z]/.test(token)) return false;
+  return shannonEntropy(token) >= 4.0;
+}
+
+// --- Findings ---
+
+function matches(text, pattern, code) {
+  return [...text.matchAll(pattern)].map((m) => ({ code, start: m.index, end: m.index + m[0].length }));
+}
+
+// Every run of 8+ characters copied from the secret, as one span
+function fragments(text, secret) {
+  const found = [];
+  for (let i = 0; i + 8 <= text.length; ) {
+    const at = secret.indexOf(text.slice(i, i + 8));
+    if (at === -1) {
+      i++;
+      continue;
+    }
+    let end = i + 8;
+    while (end < text.length && text[end] === secret[at + end - i]) end++;
+    found.push({ code: end - i === secret.length ? "SECRET_VALUE" : "SECRET_FRAGMENT", start: i, end });
+    i = end;
+  }
+  return found;
+}
+
+// Most to least serious; overlapping findings keep the most serious code
+const SEVERITY = ["SECRET_VALUE", "SECRET_FRAGMENT", "SECRET_FORMAT", "HIGH_ENTROPY", "SECRET_REFERENCE"];
+
+// All findings in `text`, earliest first, with overlapping spans merged
+export function findSecrets(text, { entropy = true, references = true } = {}) {
+  const found = [];
+  for (const secret of knownSecrets()) {
+    if (secret.length >= 12) found.push(...fragments(text, secret));
+    else found.push(...matches(text, new RegExp(secret.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "g"), "SECRET_VALUE"));
+  }
+  for (const pattern of SECRET_FORMATS) found.push(...matches(text, pattern, "SECRET_FORMAT"));
+  if (references) for (const pattern of SECRET_REFERENCES) found.push(...matches(text, pattern, "SECRET_REFERENCE"));
+  if (entropy) {
+    // URLs are judged by the link allowlist, not by how random their paths look
+    const withoutUrls = text.replace(/https?:\/\/\S+/g, (url) => " ".repeat(url.length));
+    for (const m of withoutUrls.matchAll(TOKEN)) {
+      if (looksRandom(m[0])) found.push({ code: "HIGH_ENTROPY", start: m.index, end: m.index + m[0].length });
+    }
+  }
+
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const merged = [];
+  for (const f of found) {
+    const last = merged.at(-1);
+    if (last && f.start < last.end) {
+      last.end = Math.max(last.end, f.end);
+      if (SEVERITY.indexOf(f.code) < SEVERITY.indexOf(last.code)) last.code = f.code;
+    } else {
+      merged.push({ ...f });
+    }
+  }
+  return merged;
+}
+
+// The first reason code found, or null
+export function containsSensitiveData(text) {
+  return findSecrets(text)[0]?.code || null;
+}
+
+export const REDACTED = "[REDACTED]";
+
+// Replaces each finding's span with `replacement`
+export function redactSpans(text, spans, replacement = REDACTED) {
+  let out = "";
+  let at = 0;
+  for (const { start, end } of spans) {
+    out += text.slice(at, start) + replacement;
+    at = end;
+  }
+  return out + text.slice(at);
+}
+
+// For logs: secret values, known formats and random tokens. Env var names are
+// left alone so messages like "Missing X_API_KEY" stay readable.
+export function redactSecrets(text) {
+  return redactSpans(text, findSecrets(text, { references: false }));
+}
@@ -0,0 +1,16 @@
+// --- Graceful shutdown ---
+//
+// bot.js calls requestStop() on SIGTERM or SIGINT. Strategies check
+// stopping() between actions, never in the middle of one, so a post and its
+// verification always go out together and whatever is left of the cycle is
+// resumed after the restart.
+
+let requested = false;
+
+export function requestStop() {
+  requested = true;
+}
+
+export function stopping() {
+  return requested;
+}
@@ -0,0 +1,313 @@
+import fs from "node:fs";
+import path from "node:path";
+import config from "../config.js";
+
+// --- Deterministic verification-challenge parser ---
+//
+// Moltbook challenges are short math word problems with obfuscated spelling:
+// random casing, stray symbols, stretched letters and words split by spaces.
+// The parser rebuilds number words from the fragments, reads operations from
+// the text between numbers and reports how confident it is in the result.
+
+// Repeated letters are collapsed on both sides ("thhreee" and "three" → "thre")
+const collapse = (s) => s.replace(/([a-z])\1+/g, "$1");
+
+const UNITS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine"];
+const TEENS = ["ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+
+const NUMBER_WORDS = new Map([
+  ...UNITS.map((w, i) => [collapse(w), { kind: "unit", value: i }]),
+  ...TEENS.map((w, i) => [collapse(w), { kind: "unit", value: 10 + i }]),
+  ...TENS.slice(2).map((w, i) => [collapse(w), { kind: "tens", value: 20 + i * 10 }]),
+  ["fourty", { kind: "tens", value: 40 }],
+  ["hundred", { kind: "scale", value: 100 }],
+  ["thousand", { kind: "scale", value: 1000 }],
+  ["half", { kind: "fraction", value: 0.5 }],
+  ["quarter", { kind: "fraction", value: 0.25 }],
+]);
+const LONGEST_WORD = Math.max(...[...NUMBER_WORDS.keys()].map((w) => w.length));
+
+// Words that glue number words together ("five and a half", "three point two")
+const CONNECTIVES = new Set(["and", "point"]);
+
+// Stems match anywhere in the squashed text between numbers; short or
+// ambiguous words ("each" vs "reach") only match a whole fragment
+const OPERATIONS = {
+  add: {
+    stems: ["accelerat", "increas", "speeds up", "faster", "longer", "taller", "heavier", "grows", "extra", "another", "combined", "together", "total", "addition", "added"],
+    words: ["plus", "add", "adds", "gain", "gains", "gained", "more", "sum"],
+  },
+  subtract: {
+    stems: ["minus", "subtract", "decreas", "slows", "slowed", "slower", "fewer", "remain", "reduc", "takes away", "gives away", "drops"],
+    words: ["less", "left", "lose", "loses", "lost", "losing", "shed", "sheds"],
+  },
+  multiply: {
+    stems: ["multipl", "product"],
+    words: ["times", "each", "every"],
+  },
+  divide: {
+    stems: ["divid", "split", "ratio", "shared equally"],
+    words: ["over"],
+  },
+};
+const UNARY = [
+  { words: ["double", "twice"], operation: "multiply", operand: 2 },
+  { words: ["triple", "thrice"], operation: "multiply", operand: 3 },
+  { words: ["quadruple"], operation: "multiply", operand: 4 },
+  { words: ["halve"], operation: "divide", operand: 2 },
+];
+
+const squash = (s) => collapse(s.replace(/\s/g, ""));
+const OPERATION_KEYS = Object.entries(OPERATIONS).flatMap(([operation, { stems, words }]) => [
+  ...stems.map((w) => ({ operation, key: squash(w) })),
+  ...words.map((w) => ({ operation, key: squash(w), whole: true })),
+]);
+const UNARY_KEYS = UNARY.flatMap((u) => u.words.map((w) => ({ ...u, key: squash(w) })));
+
+// Splits a joined string into number words, or returns null unless it is
+// made up entirely of them ("twentythre" → twenty, thre)
+function segmentNumberWords(s) {
+  if (!s) return [];
+  for (let len = Math.min(LONGEST_WORD, s.length); len > 0; len--) {
+    const head = s.slice(0, len);
+    if (!NUMBER_WORDS.has(head)) continue;
+    const rest = segmentNumberWords(s.slice(len));
+    if (rest) return [head, ...rest];
+  }
+  return null;
+}
+
+// Turns the challenge into a stream of number words, digit numbers and text,
+// merging up to four space-separated fragments back into a number word
+export function tokenize(challenge) {
+  const fragments = challenge
+    .toLowerCase()
+    .replace(/(\d),(\d)/g, "$1$2")
+    .replace(/[^a-z0-9.\s]/g, " ")
+    .replace(/\.(?!\d)/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const tokens = [];
+  for (let i = 0; i < fragments.length; ) {
+    if (/^\d+(\.\d+)?$/.test(fragments[i])) {
+      tokens.push({ type: "digits", value: Number(fragments[i]) });
+      i++;
+      continue;
+    }
+    let matched = false;
+    for (let j = Math.min(fragments.length, i + 4); j > i; j--) {
+      const joined = collapse(fragments.slice(i, j).join(""));
+      const words = /^[a-z]+$/.test(joined) && segmentNumberWords(joined);
+      if (!words?.length) continue;
+      for (const w of words) tokens.push({ type: "word", word: w, ...NUMBER_WORDS.get(w) });
+      i = j;
+      matched = true;
+      break;
+    }
+    if (matched) continue;
+
+    // A connective split apart by obfuscation ("poi nt", "a nd")
+    const width = [2, 3].find((n) => i + n <= fragments.length && CONNECTIVES.has(collapse(fragments.slice(i, i + n).join(""))));
+    if (width) {
+      tokens.push({ type: "text", text: collapse(fragments.slice(i, i + width).join("")) });
+      i += width;
+      continue;
+    }
+    tokens.push({ type: "text", text: collapse(fragments[i]) });
+    i++;
+  }
+  return tokens;
+}
+
+// Assembles number words into values: "twenty thre" → 23, "five and a half" → 5.5,
+// "thre point two five" → 3.25, "two hundred and six" → 206
+function readNumbers(tokens) {
+  const numbers = [];
+  let current = null;
+
+  const finish = (end) => {
+    if (current) numbers.push({ value: current.total + current.part, start: current.start, end });
+    current = null;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    const next = tokens[i + 1];
+
+    if (t.type === "digits") {
+      finish(i);
+      current = { total: 0, part: t.value, start: i, last: "digits" };
+      continue;
+    }
+    if (t.type === "text") {
+      const isAnd = t.text === "and" && current;
+      // "and a half" / "and a quarter"
+      if (isAnd && next?.type === "text" && next.text === "a" && tokens[i + 2]?.kind === "fraction") {
+        current.part += tokens[i + 2].value;
+        i += 2;
+        continue;
+      }
+      // "one hundred and six"
+      if (isAnd && current.last === "scale" && (next?.kind === "unit" || next?.kind === "tens")) continue;
+      // "three point two five"
+      if (t.text === "point" && current && next?.kind === "unit" && next.value < 10) {
+        let digits = "";
+        while (tokens[i + 1]?.kind === "unit" && tokens[i + 1].value < 10) digits += tokens[++i].value;
+        current.part += Number(`0.${digits}`);
+        current.last = "decimal";
+        continue;
+      }
+      finish(i);
+      continue;
+    }
+
+    switch (t.kind) {
+      case "unit":
+        if (current && current.last !== "tens" && current.last !== "scale") finish(i);
+        current ??= { total: 0, part: 0, start: i };
+        current.part += t.value;
+        break;
+      case "tens":
+        if (current && current.last !== "scale") finish(i);
+        current ??= { total: 0, part: 0, start: i };
+        current.part += t.value;
+        break;
+      case "scale":
+        current ??= { total: 0, part: 1, start: i };
+        if (t.value === 1000) {
+          current.total += (current.part || 1) * 1000;
+          current.part = 0;
+        } else {
+          current.part = (current.part || 1) * 100;
+        }
+        break;
+      case "fraction":
+        // A bare "half" or "quarter" is phrasing ("half of"), not a number
+        finish(i);
+        continue;
+    }
+    current.last = t.kind;
+  }
+  finish(tokens.length);
+  return numbers;
+}
+
+// The text fragments between two token positions, plus the same text squashed
+function segment(tokens, from, to) {
+  const words = tokens.slice(from, to).filter((t) => t.type === "text").map((t) => t.text);
+  return { words, joined: words.join("") };
+}
+
+// Whole-word keys may still be split across up to three fragments ("los es")
+function lastIndex({ words, joined }, key, whole) {
+  if (!whole) return joined.lastIndexOf(key);
+  for (let i = words.length - 1; i >= 0; i--) {
+    for (let n = 1; n <= 3 && i + n <= words.length; n++) {
+      if (collapse(words.slice(i, i + n).join("")) === key) return words.slice(0, i).join("").length;
+    }
+  }
+  return -1;
+}
+
+// The keyword closest to the end of the text wins; `distinct` flags mixed signals
+function findOperation(seg) {
+  let best = null;
+  const seen = new Set();
+  for (const { operation, key, whole } of OPERATION_KEYS) {
+    const at = lastIndex(seg, key, whole);
+    if (at === -1) continue;
+    seen.add(operation);
+    if (!best || at > best.at) best = { operation, at };
+  }
+  return best && { operation: best.operation, distinct: seen.size };
+}
+
+function findUnary(seg) {
+  return UNARY_KEYS.find(({ key }) => seg.joined.includes(key)) || null;
+}
+
+// A leftover fragment that looks like part of a number word means the
+// tokenizer probably missed a number
+function looksLikeMissedNumber(token) {
+  if (token.type !== "text" || token.text.length < 4) return false;
+  return [...NUMBER_WORDS.keys()].some((w) => w.length >= 4 && (token.text.includes(w) || w.startsWith(token.text)));
+}
+
+function apply(operation, a, b) {
+  switch (operation) {
+    case "add": return a + b;
+    case "subtract": return a - b;
+    case "multiply": return a * b;
+    case "divide":
+      if (b === 0) throw new Error("Division by zero");
+      return a / b;
+    default: throw new Error(`Unknown operation "${operation}"`);
+  }
+}
+
+export function parseChallenge(challenge) {
+  const tokens = tokenize(challenge);
+  const numbers = readNumbers(tokens);
+  const result = { numbers: numbers.map((n) => n.value), steps: [], answer: null, confidence: 0 };
+  if (!numbers.length) return result;
+
+  const leading = segment(tokens, 0, numbers[0].start);
+  const trailing = segment(tokens, numbers.at(-1).end, tokens.length);
+  const globalOp = findOperation(trailing) || findOperation(leading);
+
+  let confidence = 1;
+  let value = numbers[0].value;
+  const applyUnary = (seg) => {
+    const unary = findUnary(seg);
+    if (!unary) return;
+    value = apply(unary.operation, value, unary.operand);
+    result.steps.push({ operation: unary.operation, operand: unary.operand });
+  };
+
+  for (let k = 1; k < numbers.length; k++) {
+    const between = segment(tokens, numbers[k - 1].end, numbers[k].start);
+    applyUnary(between);
+    let found = findOperation(between);
+    if (!found) {
+      found = globalOp;
+      confidence *= found ? 0.85 : 0.3;
+    }
+    if (found?.distinct > 1) confidence *= 0.7;
+    const operation = found?.operation || "add";
+    value = apply(operation, value, numbers[k].value);
+    result.steps.push({ operation, operand: numbers[k].value });
+  }
+  applyUnary(trailing);
+
+  if (!result.steps.length) confidence = 0;
+  if (tokens.some(looksLikeMissedNumber)) confidence *= 0.6;
+
+  result.answer = value.toFixed(2);
+  result.confidence = Math.round(confidence * 100) / 100;
+  return result;
+}
+
+// --- Challenge corpus ---
+//
+// Every challenge the bot answers is appended to config.solver.corpusPath with
+// how it was solved and whether Moltbook accepted it. Verified entries become
+// ground truth for `npm run solver:eval`.
+
+export function recordChallenge(entry) {
+  const file = config.solver?.corpusPath;
+  if (!file) return;
+  try {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`);
+  } catch {}
+}
+
+export function readCorpus(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
@@ -0,0 +1,167 @@
+import fs from "node:fs";
+import path from "node:path";
+import config from "../config.js";
+import { log } from "./logger.js";
+
+// --- Persistent state store ---
+//
+// State is kept as one document: { version, namespaces: { [name]: data } }.
+// Each module owns its namespace (e.g. "moltbook") and writes it back after
+// every mutation. Backends only know how to read and write that document.
+//
+// A readOnly store reads the saved state but keeps changes in memory, for
+// one-off commands that run next to the bot: the JSON backend writes the
+// whole document, so their writes would undo the bot's and vice versa. It
+// never creates files or directories either.
+
+export const SCHEMA_VERSION = 1;
+
+// Each migration upgrades a document from version N to N + 1.
+const MIGRATIONS = {
+  // Unversioned files held the moltbook strategy state at the top level
+  0: (doc) => ({ version: 1, namespaces: { moltbook: doc } }),
+};
+
+export function migrate(doc) {
+  let current = doc;
+  let version = doc.version ?? 0;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`State schema v${version} is newer than supported v${SCHEMA_VERSION}`);
+  }
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No state migration from schema v${version}`);
+    current = step(current);
+    version = current.version;
+    log(`  State migrated to schema v${version}`);
+  }
+  return current;
+}
+
+// --- Backends ---
+
+function memoryBackend() {
+  let saved = null;
+  return {
+    read: () => saved && JSON.parse(saved),
+    write: (doc) => { saved = JSON.stringify(doc); },
+    close: () => {},
+  };
+}
+
+// The file is still one document, but each namespace is serialized only when
+// it is written: the others reuse their last serialization.
+function jsonBackend(file, readOnly) {
+  if (!readOnly) fs.mkdirSync(path.dirname(file), { recursive: true });
+  const serialized = new Map();
+  const indent = (json) => json.replace(/\n/g, "\n    ");
+  return {
+    read() {
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    },
+    write(doc, only) {
+      const names = Object.keys(doc.namespaces);
+      for (const name of names) {
+        if (!only || name === only || !serialized.has(name)) serialized.set(name, indent(JSON.stringify(doc.namespaces[name], null, 2)));
+      }
+      const body = names.map((name) => `    ${JSON.stringify(name)}: ${serialized.get(name)}`).join(",\n");
+      // Write to a temp file and rename so a crash never leaves half a file
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, `{\n  "version": ${doc.version},\n  "namespaces": ${names.length ? `{\n${body}\n  }` : "{}"}\n}`);
+      fs.renameSync(tmp, file);
+    },
+    close: () => {},
+  };
+}
+
+async function sqliteBackend(file, readOnly) {
+  const { DatabaseSync } = await import("node:sqlite");
+  if (readOnly && !fs.existsSync(file)) return memoryBackend();
+  if (!readOnly) fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file, { readOnly });
+  if (!readOnly) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+      CREATE TABLE IF NOT EXISTS state (
+        namespace TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `);
+  }
+  const getVersion = db.prepare("SELECT value FROM meta WHERE key = 'version'");
+  const setVersion = db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('version', ?)");
+  const allRows = db.prepare("SELECT namespace, value FROM state");
+  const upsert = db.prepare("INSERT OR REPLACE INTO state (namespace, value, updated_at) VALUES (?, ?, ?)");
+
+  return {
+    read() {
+      const rows = allRows.all();
+      const version = getVersion.get();
+      if (!rows.length && !version) return null;
+      const namespaces = {};
+      for (const row of rows) namespaces[row.namespace] = JSON.parse(row.value);
+      return { version: version ? Number(version.value) : 0, namespaces };
+    },
+    write(doc, only) {
+      const names = only ? [only] : Object.keys(doc.namespaces);
+      const now = new Date().toISOString();
+      db.exec("BEGIN");
+      try {
+        setVersion.run(String(doc.version));
+        for (const name of names) upsert.run(name, JSON.stringify(doc.namespaces[name]), now);
+        db.exec("COMMIT");
+      } catch (err) {
+        db.exec("ROLLBACK");
+        throw err;
+      }
+    },
+    close: () => db.close(),
+  };
+}
+
+const BACKENDS = {
+  memory: () => memoryBackend(),
+  json: (file, readOnly) => jsonBackend(file, readOnly),
+  sqlite: (file, readOnly) => sqliteBackend(file, readOnly),
+};
+
+// --- Store ---
+
+// Modules share one store per location so they never overwrite each other's namespaces
+const openStores = new Map();
+
+export function openStore(options = config.state) {
+  const key = `${options.backend}:${options.path ? path.resolve(options.path) : ""}${options.readOnly ? ":ro" : ""}`;
+  if (!openStores.has(key)) openStores.set(key, createStore(options, () => openStores.delete(key)));
+  return openStores.get(key);
+}
+
+// Closes every open store, on shutdown, so nothing is left half-written
+export async function closeStores() {
+  for (const opening of [...openStores.values()]) (await opening.catch(() => null))?.close();
+}
+
+async function createStore({ backend = "json", path: file, readOnly = false }, onClose) {
+  const create = BACKENDS[backend];
+  if (!create) throw new Error(`Unknown state backend "${backend}" (expected: ${Object.keys(BACKENDS).join(", ")})`);
+
+  const impl = await create(file && path.resolve(file), readOnly);
+  const stored = impl.read();
+  const doc = stored ? migrate(stored) : { version: SCHEMA_VERSION, namespaces: {} };
+  if (stored && stored.version !== doc.version && !readOnly) impl.write(doc);
+  log(`State: ${backend}${file ? ` (${file})` : ""}${readOnly ? " read-only" : ""} | namespaces: ${Object.keys(doc.namespaces).join(", ") || "none"}`);
+
+  return {
+    get: (namespace) => doc.namespaces[namespace],
+    set(namespace, value) {
+      doc.namespaces[namespace] = value;
+      if (!readOnly) impl.write(doc, namespace);
+    },
+    close() {
+      impl.close();
+      onClose();
+    },
+  };
+}
@@ -0,0 +1,258 @@
+import crypto from "node:crypto";
+import { log } from "./logger.js";
+import * as personas from "./personas.js";
+import { openStore } from "./state.js";
+import { isBlockedSubmolt } from "./targeting.js";
+
+// --- Submolt discovery and ranking ---
+//
+// Every post the moltbook strategies fetch (hot feed, submolt listings,
+// search) is sampled into a per-persona registry of submolts; a refresh every
+// moltbook.discovery.refreshHours also searches for the persona's identity
+// keywords. Each submolt is scored from its sampled posts:
+//
+//   relevance    identity and product keywords found in its posts (0-1)
+//   activity     engagement and freshness of its posts (0-1)
+//   performance  our post upvotes there, from insights.bestSubmolts (0-1,
+//                0.5 when we haven't posted there)
+//
+// and ranked by the weighted sum. The configured postSubmolts, targetSubmolts
+// and subscribeSubmolts are seeds: always candidates, neutral until sampled.
+// pick() and shortlist() mostly take from the top, but with probability
+// `explore` the least-tried submolt below it, so new ones get a chance. Blocked
+// submolts (config.targeting) never rank, and neither, for a day after the
+// strategy finds out, does one whose description asks for no bots; one asking
+// for no promotion is only left out when we'd post there.
+
+const STATE_NAMESPACE = "submolts";
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_SAMPLES = 20;
+const MAX_SUBMOLTS = 200;
+const FRESH_HOURS = 48;
+const OPT_OUT_HOURS = 24;
+
+const STOPWORDS = new Set([
+  "about", "after", "also", "always", "another", "anything", "because", "being", "building", "could", "doing",
+  "every", "everyone", "free", "from", "have", "here", "into", "just", "like", "make", "more", "most", "much", "other",
+  "over", "real", "really", "same", "show", "some", "start", "than", "that", "their", "them", "then", "there", "these",
+  "they", "thing", "this", "those", "through", "time", "very", "want", "what", "when", "where", "which", "while", "with",
+  "without", "would", "your", "you're", "youre",
+]);
+
+const registry = personas.scoped((state) => ({ state, store: null, submolts: {}, refreshedAt: null, refreshes: 0 }));
+
+export async function load() {
+  const r = registry();
+  if (!r.store) {
+    r.store = await openStore(r.state);
+    const saved = r.store.get(STATE_NAMESPACE);
+    if (saved) Object.assign(r, { submolts: saved.submolts || {}, refreshedAt: saved.refreshedAt || null, refreshes: saved.refreshes || 0 });
+  }
+}
+
+function persist() {
+  const { store, submolts, refreshedAt, refreshes } = registry();
+  store?.set(STATE_NAMESPACE, { submolts, refreshedAt, refreshes });
+}
+
+const settings = () => personas.current().moltbook.discovery;
+
+export function enabled() {
+  return settings().enabled;
+}
+
+// --- Keywords ---
+
+function words(text) {
+  return (text || "").toLowerCase().match(/[a-z][a-z0-9-]{3,}/g) || [];
+}
+
+// The persona's identity and product words, most frequent first
+export function keywords(profile = personas.current()) {
+  const counts = new Map();
+  for (const word of words(`${profile.identity} ${profile.product.name} ${profile.product.description}`)) {
+    if (!STOPWORDS.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1]).map(([word]) => word).slice(0, 12);
+}
+
+// --- Sampling ---
+
+const submoltOf = (post) => post.submolt?.name || post.submolt || null;
+
+function relevanceOf(post, terms) {
+  const present = new Set(words(`${post.title || ""} ${post.content || ""}`));
+  const hits = terms.filter((t) => present.has(t)).length;
+  return Math.min(1, hits / 3);
+}
+
+function entry(name) {
+  const { submolts } = registry();
+  return (submolts[name] ??= { name, firstSeen: new Date().toISOString(), lastSeen: null, samples: [], picks: 0 });
+}
+
+// Records `posts` against their submolts; returns the names seen for the
+// first time
+export function observe(posts) {
+  const terms = keywords();
+  const discovered = [];
+  for (const post of posts || []) {
+    const name = submoltOf(post);
+    if (!name || !post.id) continue;
+    if (!registry().submolts[name]) discovered.push(name);
+    const e = entry(name);
+    e.lastSeen = new Date().toISOString();
+    e.samples = e.samples.filter((s) => s.id !== post.id);
+    e.samples.push({
+      id: post.id,
+      relevance: relevanceOf(post, terms),
+      engagement: (post.upvotes || 0) + 2 * (post.comment_count || post.commentCount || 0),
+      createdAt: post.created_at || post.createdAt || null,
+    });
+    e.samples.splice(0, Math.max(0, e.samples.length - MAX_SAMPLES));
+  }
+  trim();
+  persist();
+  if (discovered.length) log(`  [submolts] Discovered ${discovered.map((n) => `m/${n}`).join(", ")}`);
+  return discovered;
+}
+
+// Keeps the registry bounded, dropping the submolts seen longest ago
+function trim() {
+  const { submolts } = registry();
+  const names = Object.keys(submolts);
+  if (names.length <= MAX_SUBMOLTS) return;
+  const stale = names.sort((a, b) => (submolts[a].lastSeen || "").localeCompare(submolts[b].lastSeen || "")).slice(0, names.length - MAX_SUBMOLTS);
+  for (const name of stale) delete submolts[name];
+}
+
+// Submolt `name` turned us away in its description: `noBots` if it wants no
+// bots at all, otherwise it only wants no promotion
+export function optedOut(name, { noBots, reason }) {
+  entry(name).optOut = { noBots, reason, at: new Date().toISOString() };
+  persist();
+  log(`  [submolts] Leaving m/${name} out of the ${noBots ? "ranking" : "posting ranking"} for ${OPT_OUT_HOURS}h: ${reason}`);
+}
+
+function excluded(name, posting, now) {
+  const optOut = registry().submolts[name]?.optOut;
+  if (!optOut || now - Date.parse(optOut.at) >= OPT_OUT_HOURS * HOUR_MS) return false;
+  return optOut.noBots || posting;
+}
+
+// --- Refresh ---
+
+export function needsRefresh() {
+  const { refreshedAt } = registry();
+  return !refreshedAt || Date.now() - Date.parse(refreshedAt) >= settings().refreshHours * HOUR_MS;
+}
+
+// Samples the hot feed and searches for a few identity keywords, a different
+// few each time. `api` is the persona's client.
+export async function refresh(api) {
+  const r = registry();
+  const terms = keywords();
+  const count = Math.min(settings().searchQueries, terms.length);
+  const queries = Array.from({ length: count }, (_, i) => terms[(r.refreshes * count + i) % terms.length]);
+  let sampled = 0;
+  try {
+    const feed = await api.getHotFeed(25);
+    sampled += observe(feed.posts || feed || []).length;
+  } catch (err) {
+    log.warn(`  [submolts] Hot feed unavailable for discovery: ${err.message}`);
+  }
+  for (const query of queries) {
+    try {
+      const results = await api.searchPosts(query, 15);
+      sampled += observe((results.results || []).filter((p) => p.type === "post")).length;
+    } catch (err) {
+      log.warn(`  [submolts] Search for "${query}" failed: ${err.message}`);
+    }
+  }
+  r.refreshedAt = new Date().toISOString();
+  r.refreshes++;
+  persist();
+  log(`  [submolts] Refreshed from the hot feed${queries.length ? ` and searches for ${queries.join(", ")}` : ""}: ${sampled} new, ${Object.keys(r.submolts).length} known`);
+}
+
+// --- Ranking ---
+
+const average = (list, fn) => (list.length ? list.reduce((sum, x) => sum + fn(x), 0) / list.length : 0);
+
+function activityOf(samples, now) {
+  const engagement = Math.min(Math.log(average(samples, (s) => s.engagement) + 1) / Math.log(51), 1);
+  const fresh = samples.filter((s) => s.createdAt && now - Date.parse(s.createdAt) < FRESH_HOURS * HOUR_MS).length / samples.length;
+  return engagement * 0.6 + fresh * 0.4;
+}
+
+// Every candidate submolt, best first. `seeds` are the configured lists,
+// `bestSubmolts` our post performance by submolt and `posting` whether the
+// ranking is for a post.
+export function rank({ seeds = [], bestSubmolts = [], posting = false } = {}) {
+  const { weights } = settings();
+  const { submolts } = registry();
+  const now = Date.now();
+  const topAvg = Math.max(0, ...bestSubmolts.map((s) => s.avg));
+  const names = new Set([...seeds, ...Object.keys(submolts)]);
+  const ranked = [];
+  for (const name of names) {
+    if (isBlockedSubmolt(name) || excluded(name, posting, now)) continue;
+    const samples = submolts[name]?.samples || [];
+    const ours = bestSubmolts.find((s) => s.name === name);
+    const scores = {
+      relevance: samples.length ? average(samples, (s) => s.relevance) : 0.5,
+      activity: samples.length ? activityOf(samples, now) : 0.5,
+      performance: ours && topAvg > 0 ? ours.avg / topAvg : 0.5,
+    };
+    const score = scores.relevance * weights.relevance + scores.activity * weights.activity + scores.performance * weights.performance;
+    ranked.push({ name, score, ...scores, samples: samples.length, picks: submolts[name]?.picks || 0, seed: seeds.includes(name) });
+  }
+  return ranked.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+const chance = () => crypto.randomInt(1_000_000) / 1_000_000;
+
+function leastTried(candidates) {
+  const fewest = Math.min(...candidates.map((s) => s.picks));
+  const untried = candidates.filter((s) => s.picks === fewest);
+  return untried[crypto.randomInt(untried.length)];
+}
+
+function picked(choice, why) {
+  entry(choice.name).picks++;
+  persist();
+  return { ...choice, why };
+}
+
+// One submolt from `ranked`: one of the top `choices`, or with probability
+// explore the least-tried of the rest
+export function pick(ranked, { choices = 1 } = {}) {
+  if (!ranked.length) return null;
+  const rest = ranked.slice(choices);
+  if (rest.length && chance() < settings().explore) return picked(leastTried(rest), "exploring");
+  const top = ranked.slice(0, choices);
+  const chosen = top[crypto.randomInt(top.length)];
+  return picked(chosen, `rank ${ranked.indexOf(chosen) + 1}`);
+}
+
+// The top `count` of `ranked`, the last of them swapped for the least-tried
+// of the rest with probability explore
+export function shortlist(ranked, count) {
+  const top = ranked.slice(0, count).map((s, i) => [s, `rank ${i + 1}`]);
+  const rest = ranked.slice(count);
+  if (rest.length && top.length > 1 && chance() < settings().explore) top[top.length - 1] = [leastTried(rest), "exploring"];
+  return top.map(([s, why]) => picked(s, why));
+}
+
+// The top of the ranking, for the admin server
+export function report(ranking, limit = 10) {
+  return ranking.slice(0, limit).map(({ name, score, relevance, activity, performance, samples, seed }) => ({
+    name,
+    score: Number(score.toFixed(3)),
+    relevance: Number(relevance.toFixed(2)),
+    activity: Number(activity.toFixed(2)),
+    performance: Number(performance.toFixed(2)),
+    samples,
+    seed,
+  }));
+}
@@ -0,0 +1,134 @@
+import config from "../config.js";
+import { log } from "./logger.js";
+
+// --- Target selection filters ---
+//
+// Posts are vetted before we comment on them. Blocked agents and submolts
+// (config.targeting.blockedAgents / blockedSubmolts) are always skipped; with
+// targeting enabled, so are posts on a sensitive topic and posts whose
+// author or submolt asks for no bots, in the post itself, the author's
+// profile description or the submolt's description. Asking for no promotion
+// still allows a comment, as long as it leaves the product out. Submolts
+// picked by discovery are vetted on their description alone before we post or
+// scan there. Terms and phrases match whole words, case-insensitively.
+
+const DESCRIPTION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// "agent:<name>" / "submolt:<name>" -> { at, text }; descriptions are public,
+// so every persona shares them
+const descriptions = new Map();
+
+function normalize(text) {
+  return (text || "").normalize("NFKC").toLowerCase().replace(/\s+/g, " ");
+}
+
+function escape(term) {
+  return term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// The first of `terms` found in `text` as a whole word or phrase
+function firstMatch(text, terms) {
+  return terms.find((term) => new RegExp(`(^|[^a-z0-9])${escape(term.toLowerCase())}($|[^a-z0-9])`).test(text)) || null;
+}
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+export function isBlockedAgent(name) {
+  return Boolean(name) && config.targeting.blockedAgents.some((blocked) => sameName(blocked, name));
+}
+
+export function isBlockedSubmolt(name) {
+  return Boolean(name) && config.targeting.blockedSubmolts.some((blocked) => sameName(blocked, name));
+}
+
+// The profile description of agent `name` or submolt `name`, cached for a
+// day; an unreachable one counts as empty
+async function description(kind, name, api) {
+  const key = `${kind}:${name}`;
+  const cached = descriptions.get(key);
+  if (cached && Date.now() - cached.at < DESCRIPTION_TTL_MS) return cached.text;
+  let text = "";
+  try {
+    const data = kind === "agent" ? await api.getAgentProfile(name) : await api.getSubmolt(name);
+    text = (data.agent || data.submolt || data).description || "";
+  } catch {}
+  descriptions.set(key, { at: Date.now(), text });
+  return text;
+}
+
+// Where the post's author and community have spoken: [label, text] pairs
+async function consentSources(post, api) {
+  const author = post.author?.name;
+  const submolt = post.submolt?.name || post.submolt;
+  const sources = [["the post", normalize(`${post.title || ""}\n${post.content || ""}`)]];
+  if (config.targeting.optOut.checkProfiles) {
+    if (author) sources.push([`${author}'s profile`, normalize(await description("agent", author, api))]);
+    if (submolt) sources.push([`m/${submolt}'s description`, normalize(await description("submolt", submolt, api))]);
+  }
+  return sources;
+}
+
+// Logged every time, so the log shows each cycle's skips
+function logSkip(post, reason) {
+  log(`  [targeting] Skipping "${(post.title || post.id || "").slice(0, 60)}" by ${post.author?.name || "unknown"}: ${reason}`, { postId: post.id });
+}
+
+// Whether we may comment on `post`: { skip: reason } if not, otherwise
+// { promote } telling whether the product may be mentioned. `api` is the
+// persona's client, for profile and submolt descriptions.
+export async function vet(post, api) {
+  const settings = config.targeting;
+  const author = post.author?.name;
+  const submolt = post.submolt?.name || post.submolt;
+
+  let reason = null;
+  if (isBlockedSubmolt(submolt)) reason = `m/${submolt} is blocked`;
+  else if (isBlockedAgent(author)) reason = `${author} is blocked`;
+  else if (settings.enabled) {
+    const text = normalize(`${post.title || ""}\n${post.content || ""}`);
+    for (const [topic, terms] of Object.entries(settings.sensitiveTopics)) {
+      const term = firstMatch(text, terms);
+      if (term) {
+        reason = `sensitive topic ${topic} ("${term}")`;
+        break;
+      }
+    }
+  }
+  if (reason) {
+    logSkip(post, reason);
+    return { skip: reason };
+  }
+  if (!settings.enabled) return { promote: true };
+
+  let promote = true;
+  for (const [where, text] of await consentSources(post, api)) {
+    const noBots = firstMatch(text, settings.optOut.noBots);
+    if (noBots) {
+      reason = `no bots wanted ("${noBots}" in ${where})`;
+      logSkip(post, reason);
+      return { skip: reason };
+    }
+    const noPromotion = firstMatch(text, settings.optOut.noPromotion);
+    if (noPromotion && promote) {
+      promote = false;
+      log(`  [targeting] No promotion on "${(post.title || "").slice(0, 60)}" ("${noPromotion}" in ${where})`, { postId: post.id });
+    }
+  }
+  return { promote };
+}
+
+// Whether we may be in submolt `name` at all, from its description: { skip:
+// reason } if not, otherwise { promote } and, when promotion is unwelcome, the
+// `reason`. Used before posting there or scanning it.
+export async function vetSubmolt(name, api) {
+  const settings = config.targeting;
+  if (isBlockedSubmolt(name)) return { skip: `m/${name} is blocked` };
+  if (!settings.enabled || !settings.optOut.checkProfiles) return { promote: true };
+
+  const text = normalize(await description("submolt", name, api));
+  const noBots = firstMatch(text, settings.optOut.noBots);
+  if (noBots) return { skip: `no bots wanted ("${noBots}" in m/${name}'s description)` };
+  const noPromotion = firstMatch(text, settings.optOut.noPromotion);
+  if (noPromotion) return { promote: false, reason: `no promotion wanted ("${noPromotion}" in m/${name}'s description)` };
+  return { promote: true };
+}
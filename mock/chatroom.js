@@ -0,0 +1,67 @@
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+
+// --- Local Agent Chat Room stand-in ---
+//
+// Serves GET/POST /api/messages like the real room. test/chatroom.test.js runs
+// the chatroom strategy against it; run it directly to try the strategy by hand:
+//   node mock/chatroom.js 3100
+//   MOLTBOT__CHATROOM__API_BASE=http://127.0.0.1:3100 node bot.js
+// then post as another agent:
+//   curl -XPOST localhost:3100/api/messages -H 'Content-Type: application/json' \
+//     -d '{"name":"ToolSmith","text":"anyone here?"}'
+
+export function startMockChatroom({ port = 0, seed = [] } = {}) {
+  const messages = [];
+  let nextId = 1;
+
+  function say(name, text) {
+    const message = { id: nextId++, name, text, timestamp: new Date().toISOString() };
+    messages.push(message);
+    return message;
+  }
+  for (const m of seed) say(m.name, m.text);
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const reply = (status, payload) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (url.pathname !== "/api/messages") return reply(404, { error: "Not found" });
+      if (req.method === "GET") return reply(200, { messages: messages.slice(-50) });
+      if (req.method === "POST") {
+        let body;
+        try { body = JSON.parse(raw); } catch { return reply(400, { error: "Invalid JSON" }); }
+        if (!body?.name || !body?.text) return reply(400, { error: "name and text are required" });
+        const message = say(body.name, body.text);
+        console.log(`[chat] ${message.name}: ${message.text}`);
+        return reply(201, { message });
+      }
+      reply(405, { error: "Method not allowed" });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        messages,
+        say,
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const room = await startMockChatroom({
+    port: Number(process.argv[2]) || 3100,
+    seed: [{ name: "NeuralNomad", text: "morning, room" }],
+  });
+  console.log(`Mock chat room listening on ${room.url}`);
+}
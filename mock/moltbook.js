@@ -0,0 +1,350 @@
+import http from "node:http";
+import fs from "node:fs";
+
+// --- Local Moltbook stand-in ---
+//
+// Implements the endpoints lib/api.js calls, seeded from fixtures.json, plus a
+// minimal Anthropic Messages endpoint so a full bot cycle runs offline.
+// Everything the bot publishes is recorded in `published` instead of going live.
+
+const FIXTURES = JSON.parse(fs.readFileSync(new URL("./fixtures.json", import.meta.url), "utf8"));
+
+const ONES = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine",
+  "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+
+function numberWords(n) {
+  if (n < 20) return ONES[n];
+  return TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : "");
+}
+
+// Moltbook-style obfuscation: random casing, stray symbols, stretched letters
+function obfuscate(text, rand) {
+  return text
+    .split("")
+    .map((ch) => {
+      let out = rand() < 0.5 ? ch.toUpperCase() : ch.toLowerCase();
+      if (/[a-z]/i.test(ch) && rand() < 0.1) out += out;
+      if (rand() < 0.08) out += "]^/-"[Math.floor(rand() * 4)];
+      return out;
+    })
+    .join("");
+}
+
+const CHALLENGES = [
+  { operation: "add", text: (a, b) => `a lobster swims at ${a} meters per second and accelerates by ${b}, what is its total speed` },
+  { operation: "subtract", text: (a, b) => `a crab walks ${a} meters but loses ${b} meters in the current, how far did it get` },
+  { operation: "multiply", text: (a, b) => `a reef has ${a} shells and each shell holds ${b} pearls, how many pearls in total` },
+];
+
+function seededRandom(seed) {
+  let s = seed % 2147483647 || 1;
+  return () => (s = (s * 16807) % 2147483647) / 2147483647;
+}
+
+function shapePost(p) {
+  return {
+    id: p.id,
+    title: p.title,
+    content: p.content,
+    author: { name: p.author },
+    submolt: { name: p.submolt },
+    upvotes: p.upvotes,
+    comment_count: p.commentCount,
+    created_at: p.createdAt,
+  };
+}
+
+function shapeComment(c) {
+  return {
+    id: c.id,
+    post_id: c.postId,
+    parent_id: c.parentId || null,
+    author: { name: c.author },
+    content: c.content,
+    upvotes: c.upvotes,
+    created_at: c.createdAt,
+  };
+}
+
+function createWorld(agentName) {
+  const now = Date.now();
+  const agents = new Map(FIXTURES.agents.map((a) => [a.name, { ...a }]));
+  if (!agents.has(agentName)) agents.set(agentName, { name: agentName, karma: 0, description: "" });
+
+  const comments = FIXTURES.comments.map((c, i) => ({
+    ...c,
+    createdAt: new Date(now - (i + 1) * 15 * 60 * 1000).toISOString(),
+  }));
+  const posts = FIXTURES.posts.map((p) => ({
+    ...p,
+    commentCount: comments.filter((c) => c.postId === p.id).length,
+    createdAt: new Date(now - p.hoursAgo * 60 * 60 * 1000).toISOString(),
+  }));
+
+  return { agents, posts, comments, submolts: new Set(FIXTURES.submolts), challenges: new Map(), nextId: 1 };
+}
+
+// --- Moltbook API ---
+
+function issueChallenge(world, rand, item) {
+  const template = CHALLENGES[Math.floor(rand() * CHALLENGES.length)];
+  const a = 10 + Math.floor(rand() * 80);
+  const b = 2 + Math.floor(rand() * 9);
+  const numbers = [a, b];
+  const plain = template.text(numberWords(a), numberWords(b));
+  const challenge = obfuscate(plain, rand);
+  const code = `mock-verify-${world.nextId++}`;
+  const answer = { add: a + b, subtract: a - b, multiply: a * b }[template.operation].toFixed(2);
+  world.challenges.set(code, { challenge, numbers, operation: template.operation, answer, item });
+  return { code, challenge, expires_at: new Date(Date.now() + 5 * 60 * 1000).toISOString() };
+}
+
+function handleMoltbook(world, ctx, req, url, body) {
+  const { agentName, published, rand } = ctx;
+  const me = world.agents.get(agentName);
+  const record = (item) => published.push(Object.assign(item, { by: agentName }));
+  const parts = url.pathname.replace(/^\/api\/v1/, "").split("/").filter(Boolean);
+  const route = `${req.method} /${parts.join("/")}`;
+  const limit = Number(url.searchParams.get("limit")) || 25;
+  const findPost = (id) => world.posts.find((p) => p.id === id);
+
+  switch (route) {
+    case "GET /agents/me":
+      return [200, { agent: { ...me, stats: { posts: world.posts.filter((p) => p.author === agentName).length, comments: world.comments.filter((c) => c.author === agentName).length } } }];
+    case "GET /agents/profile": {
+      const agent = world.agents.get(url.searchParams.get("name"));
+      return agent ? [200, { agent }] : [404, { error: "Agent not found" }];
+    }
+    case "GET /agents/leaderboard":
+      return [200, { leaderboard: [...world.agents.values()].sort((a, b) => b.karma - a.karma) }];
+    case "PATCH /agents/me":
+      if (typeof body?.description === "string") me.description = body.description;
+      return [200, { success: true, agent: me }];
+    case "GET /agents/status":
+      return [200, { status: me.claimed === false ? "pending_claim" : "claimed" }];
+    case "POST /agents/register": {
+      const name = body?.name;
+      if (!name) return [400, { error: "name is required" }];
+      world.agents.set(name, { name, karma: 0, description: body.description || "", claimed: false });
+      return [200, {
+        agent: { name, api_key: mockKey(name), claim_url: `http://localhost/claim/${name}`, verification_code: "reef-M0CK" },
+      }];
+    }
+    case "GET /feed":
+      return [200, { posts: [...world.posts].sort((a, b) => b.upvotes - a.upvotes).slice(0, limit).map(shapePost) }];
+    case "GET /search": {
+      const q = (url.searchParams.get("q") || "").toLowerCase();
+      const hits = world.posts.filter((p) =>
+        [p.title, p.content, p.author].some((field) => field.toLowerCase().includes(q))
+      );
+      return [200, { results: hits.slice(0, limit).map((p) => ({ type: "post", ...shapePost(p) })) }];
+    }
+  }
+
+  // Routes with an id segment: /posts/:id, /posts/:id/comments, /agents/:name/follow, ...
+  const [resource, id, action] = parts;
+  if (resource === "posts" && !id) {
+    if (req.method === "GET") {
+      const submolt = url.searchParams.get("submolt");
+      const list = world.posts.filter((p) => !submolt || p.submolt === submolt);
+      return [200, { posts: list.slice(0, limit).map(shapePost) }];
+    }
+    if (req.method === "POST") {
+      if (!body?.title || !body?.submolt) return [400, { error: "submolt and title are required" }];
+      const post = {
+        id: `p-mock-${world.nextId++}`, title: body.title, content: body.content || "", author: agentName,
+        submolt: body.submolt, upvotes: 0, commentCount: 0, createdAt: new Date().toISOString(),
+      };
+      world.posts.unshift(post);
+      const item = { type: "post", id: post.id, submolt: post.submolt, title: post.title, content: post.content, verified: false };
+      record(item);
+      const verification = issueChallenge(world, rand, item);
+      return [201, { success: true, post: shapePost(post), verification_required: true, verification }];
+    }
+  }
+  if (resource === "posts" && id) {
+    const post = findPost(id);
+    if (!post) return [404, { error: "Post not found" }];
+    if (!action && req.method === "GET") return [200, { post: shapePost(post) }];
+    if (action === "comments" && req.method === "GET") {
+      // Nested like the real API: top-level comments carry their replies
+      const onPost = world.comments.filter((c) => c.postId === id).sort((a, b) => b.upvotes - a.upvotes);
+      const nest = (c) => ({ ...shapeComment(c), replies: onPost.filter((r) => r.parentId === c.id).map(nest) });
+      return [200, { comments: onPost.filter((c) => !c.parentId).map(nest) }];
+    }
+    if (action === "comments" && req.method === "POST") {
+      if (!body?.content) return [400, { error: "content is required" }];
+      const parent = body.parent_id && world.comments.find((c) => c.id === body.parent_id && c.postId === id);
+      if (body.parent_id && !parent) return [404, { error: "Parent comment not found" }];
+      const comment = { id: `c-mock-${world.nextId++}`, postId: id, parentId: parent?.id, author: agentName, content: body.content, upvotes: 0, createdAt: new Date().toISOString() };
+      world.comments.push(comment);
+      post.commentCount++;
+      const item = { type: parent ? "reply" : "comment", id: comment.id, postId: id, postTitle: post.title, content: comment.content, verified: false, ...(parent && { inReplyTo: parent.author }) };
+      record(item);
+      const verification = issueChallenge(world, rand, item);
+      return [201, { success: true, comment: shapeComment(comment), verification_required: true, verification }];
+    }
+    if (action === "upvote" && req.method === "POST") {
+      post.upvotes++;
+      record({ type: "upvote", postId: id, postTitle: post.title });
+      return [200, { success: true, message: "Upvoted!" }];
+    }
+  }
+  if (resource === "comments" && action === "upvote" && req.method === "POST") {
+    const comment = world.comments.find((c) => c.id === id);
+    if (!comment) return [404, { error: "Comment not found" }];
+    comment.upvotes++;
+    record({ type: "upvote", commentId: id });
+    return [200, { success: true, message: "Upvoted!" }];
+  }
+  if (resource === "agents" && action === "follow" && req.method === "POST") {
+    if (!world.agents.has(id)) return [404, { error: "Agent not found" }];
+    record({ type: "follow", agent: id });
+    return [200, { success: true, message: `Now following ${id}` }];
+  }
+  if (resource === "submolts" && !action && req.method === "GET") {
+    if (!world.submolts.has(id)) return [404, { error: "Submolt not found" }];
+    return [200, { submolt: { name: id, description: FIXTURES.submoltDescriptions?.[id] || "" } }];
+  }
+  if (resource === "submolts" && action === "subscribe" && req.method === "POST") {
+    if (!world.submolts.has(id)) return [404, { error: "Submolt not found" }];
+    record({ type: "subscribe", submolt: id });
+    return [200, { success: true, message: `Subscribed to m/${id}` }];
+  }
+  if (resource === "verify" && req.method === "POST") {
+    const issued = world.challenges.get(body?.verification_code);
+    if (!issued) return [404, { success: false, error: "Unknown verification code" }];
+    if (Number(body.answer).toFixed(2) !== issued.answer) {
+      return [400, { success: false, error: `Incorrect answer (expected ${issued.answer})` }];
+    }
+    world.challenges.delete(body.verification_code);
+    issued.item.verified = true;
+    return [200, { success: true, message: "Verified! Content is now live." }];
+  }
+  return [404, { error: `No mock route for ${req.method} ${url.pathname}` }];
+}
+
+// --- Anthropic Messages stand-in ---
+
+function mockCompletion(world, prompt) {
+  if (prompt.includes("Extract the numbers and operation")) {
+    const issued = [...world.challenges.values()].find((c) => prompt.includes(c.challenge));
+    if (!issued) return `{"numbers": [0, 0], "operation": "add"}`;
+    return JSON.stringify({ numbers: issued.numbers, operation: issued.operation });
+  }
+  if (prompt.includes(`{"injection"`)) {
+    return JSON.stringify({ injection: false, reason: "[dry run] ordinary discussion" });
+  }
+  if (prompt.includes(`{"relevance"`)) {
+    return JSON.stringify({ relevance: 8, tone: 8, reason: "[dry run] on topic and in voice" });
+  }
+  if (prompt.includes(`{"title"`)) {
+    const submolt = prompt.match(/m\/([a-z0-9_-]+)/i)?.[1] || "general";
+    return JSON.stringify({
+      title: `[dry run] Why m/${submolt} needs a live room for agents`,
+      content: "Threads are slow. By the time a reply lands, the agent that asked has moved on. "
+        + "Try a live room instead: https://agent-collab.onrender.com — no keys, no setup, just show up and talk. "
+        + "Full API docs at https://agent-collab.onrender.com/agentChatRoom.md. What would you build if every agent were one message away?",
+    });
+  }
+  const chatTarget = prompt.match(/Reply to (.+)'s latest message/)?.[1];
+  if (chatTarget) return `[dry run] Good question, ${chatTarget} — happy to dig in.`;
+  if (prompt.includes("New agents just joined")) return "[dry run] Welcome in! What are you all working on?";
+  // Rotate phrasings so the novelty gate sees distinct drafts
+  const title = (prompt.match(/(?:YOUR POST )?TITLE: (.*)/)?.[1] || "this").slice(0, 60);
+  const phrasings = [
+    `[dry run] Sharp point on "${title}" — what made you land there?`,
+    `[dry run] I'd push back a little on "${title}": who pays the cost when it breaks?`,
+    `[dry run] "${title}" is underrated. The part nobody mentions is the operational overhead.`,
+    `[dry run] Curious how "${title}" holds up once a hundred agents pile in at once.`,
+  ];
+  return phrasings[world.nextId++ % phrasings.length];
+}
+
+function handleAnthropic(world, body) {
+  const prompt = (body?.messages || []).map((m) =>
+    typeof m.content === "string" ? m.content : m.content.map((part) => part.text || "").join("")
+  ).join("\n");
+  const text = mockCompletion(world, prompt);
+  return [200, {
+    id: `msg_mock_${world.nextId++}`,
+    type: "message",
+    role: "assistant",
+    model: body?.model || "mock",
+    content: [{ type: "text", text }],
+    stop_reason: "end_turn",
+    stop_sequence: null,
+    usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: Math.ceil(text.length / 4) },
+  }];
+}
+
+// --- Server ---
+
+// The key the mock hands out for `name`. Requests with it act as that agent,
+// which is how one mock serves several personas; any other key is the
+// server's agentName. The name is hex-encoded so redacting the key from logs
+// doesn't also blank out the name.
+export function mockKey(name) {
+  return `mock_sk_${Buffer.from(name).toString("hex")}`;
+}
+
+function agentFor(world, req, fallback) {
+  const hex = (req.headers.authorization || "").match(/^Bearer mock_sk_([0-9a-f]+)$/)?.[1];
+  if (!hex) return fallback;
+  const name = Buffer.from(hex, "hex").toString();
+  if (!world.agents.has(name)) world.agents.set(name, { name, karma: 0, description: "" });
+  return name;
+}
+
+// A failure queued with fail(): answers the next `times` matching requests
+// with `status` instead of handling them
+function takeFault(faults, req, url) {
+  const fault = faults.find((f) => f.method === req.method && f.path === url.pathname.replace(/^\/api\/v1/, ""));
+  if (!fault) return null;
+  if (--fault.times === 0) faults.splice(faults.indexOf(fault), 1);
+  return fault;
+}
+
+export function startMockServer({ agentName, port = 0, seed = 42 } = {}) {
+  const world = createWorld(agentName);
+  const published = [];
+  const faults = [];
+  const ctx = { agentName, published, rand: seededRandom(seed) };
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      let body = null;
+      try { body = raw ? JSON.parse(raw) : null; } catch {}
+
+      const fault = takeFault(faults, req, url);
+      if (fault) {
+        res.writeHead(fault.status, { "Content-Type": "application/json", ...fault.headers });
+        res.end(JSON.stringify({ error: `Injected ${fault.status}` }));
+        return;
+      }
+      const [status, payload] = url.pathname.startsWith("/v1/messages")
+        ? handleAnthropic(world, body)
+        : handleMoltbook(world, { ...ctx, agentName: agentFor(world, req, agentName) }, req, url, body);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url: base,
+        apiBase: `${base}/api/v1`,
+        published,
+        fail: (method, path, status, { times = 1, headers = {} } = {}) =>
+          faults.push({ method, path, status, times, headers }),
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+import readline from "node:readline/promises";
+import config from "./config.js";
+import { clientFor, commentAncestry } from "./lib/api.js";
+import { createGenerator } from "./lib/content.js";
+import * as personas from "./lib/personas.js";
+
+// Act as the agent by hand.
+// Usage: moltbot <command> [options] [--persona NAME] [--json] [--verbose]
+//   post <submolt> --title T --content C    publish a post
+//   post <submolt> --draft                  the LLM writes it from the hot feed
+//   comment <postId> --content C | --draft  comment on a post
+//     [--reply-to <commentId>]              ...or reply to one of its comments
+//   upvote <postId> | upvote --comment <id>
+//   follow <agent>
+//   search <query> [--limit N]
+//   feed [--submolt S] [--limit N]          hot feed, or one submolt's posts
+//   stats <postId>                          votes, comments and our part in them
+//   profile [agent]                         ours without a name
+//   leaderboard [--limit N]
+//
+// --persona acts as one of config.personas instead of the primary agent.
+// Drafts are shown before anything is published; --yes publishes without
+// asking. Verification challenges are answered automatically. --json prints
+// the API responses instead of text. Manual actions skip the bot's daily caps
+// and approval queue, and don't count toward its LLM budget.
+
+const VALUE_FLAGS = new Set(["title", "content", "submolt", "limit", "reply-to", "comment", "persona"]);
+const BOOLEAN_FLAGS = new Set(["draft", "yes", "json", "verbose"]);
+
+function parseArgs(argv) {
+  const args = { command: argv[0], positional: [], flags: {} };
+  for (let i = 1; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) {
+      args.positional.push(argv[i]);
+      continue;
+    }
+    const [flag, inline] = argv[i].slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.has(flag)) args.flags[flag] = true;
+    else if (VALUE_FLAGS.has(flag)) args.flags[flag] = inline ?? argv[++i];
+    else throw new Error(`Unknown option ${argv[i]}`);
+    if (args.flags[flag] === undefined) throw new Error(`--${flag} needs a value`);
+  }
+  if (args.flags.limit !== undefined && !(Number(args.flags.limit) > 0)) throw new Error("--limit must be a positive number");
+  return args;
+}
+
+function need(args, count, usage) {
+  if (args.positional.length < count) throw new Error(`Usage: moltbot ${usage}`);
+  return args.positional;
+}
+
+// --- Output ---
+
+let json = false;
+// The persona we act as, with its API client and generator; set in main()
+let persona;
+let api;
+let content;
+
+function print(data, lines) {
+  if (json) console.log(JSON.stringify(data, null, 2));
+  else console.log([lines].flat().join("\n"));
+}
+
+const submoltOf = (post) => post.submolt?.name || post.submolt || "general";
+const postOf = (response) => response.post || response;
+
+function postLine(p) {
+  const counts = `${p.upvotes ?? 0} up, ${p.comment_count ?? p.commentCount ?? 0} comments`;
+  return `${p.id}  [${counts}] m/${submoltOf(p)} "${p.title}"${p.author?.name ? ` by ${p.author.name}` : ""}`;
+}
+
+// --- Publishing ---
+
+// Shows `preview` and asks; --yes skips the question, and without a terminal
+// to ask on nothing is published. With --json the preview and question go to
+// stderr so stdout stays parseable.
+async function confirm(args, preview) {
+  if (args.flags.yes) return true;
+  const output = json ? process.stderr : process.stdout;
+  output.write(`${preview}\n\n`);
+  if (!process.stdin.isTTY) {
+    console.error("Not published: pass --yes to publish without confirming");
+    return false;
+  }
+  const rl = readline.createInterface({ input: process.stdin, output });
+  try {
+    return /^y(es)?$/i.test((await rl.question("Publish? [y/N] ")).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+// Answers the verification challenge; `verified` is null when none was asked
+async function verify(response) {
+  if (!response.verification_required) return { verified: null };
+  try {
+    const result = await api.autoVerify(response);
+    return { verified: result.success !== false, verification: result };
+  } catch (err) {
+    return { verified: false, error: err.message };
+  }
+}
+
+function verifiedNote({ verified, error }) {
+  if (verified === null) return "";
+  return verified ? " (verified)" : ` (NOT verified${error ? `: ${error}` : ""})`;
+}
+
+async function post(args) {
+  const [submolt] = need(args, 1, "post <submolt> (--title T --content C | --draft)");
+  let { title, content: body } = args.flags;
+  let variant = null;
+  if (args.flags.draft) {
+    const feed = await api.getHotFeed(10);
+    const draft = await content.generateViralPost(submolt, feed.posts || feed || [], "");
+    if (!draft) throw new Error("No usable draft (see the log above, or run with --verbose)");
+    ({ title, content: body, variant } = draft);
+  } else if (!title || !body) {
+    throw new Error("Usage: moltbot post <submolt> (--title T --content C | --draft)");
+  }
+
+  const draft = { submolt, title, content: body, ...(variant && { variant }) };
+  if (!(await confirm(args, `Post to m/${submolt}${variant ? ` [${variant}]` : ""}:\n  ${title}\n\n  ${body.replace(/\n/g, "\n  ")}`))) {
+    if (json) print({ published: false, draft });
+    return;
+  }
+  const created = await api.createPost(submolt, title, body);
+  const check = await verify(created);
+  const result = postOf(created);
+  print({ published: true, draft, post: result, ...check }, `Posted ${result.id} to m/${submolt}${verifiedNote(check)}`);
+}
+
+async function comment(args) {
+  const usage = "comment <postId> (--content C | --draft) [--reply-to <commentId>]";
+  const [postId] = need(args, 1, usage);
+  const parentId = args.flags["reply-to"];
+  let text = args.flags.content;
+  let variant = null;
+  if (args.flags.draft) {
+    const target = postOf(await api.getPost(postId));
+    const tree = await api.getCommentTree(postId);
+    let draft;
+    if (parentId) {
+      const parent = tree.byId.get(parentId);
+      if (!parent) throw new Error(`Post ${postId} has no comment ${parentId}`);
+      const thread = commentAncestry(tree, parentId).slice(0, -1);
+      draft = await content.generateReply({ ...target, submolt: submoltOf(target) }, parent, thread);
+    } else {
+      draft = await content.generateComment(target, submoltOf(target), tree.roots, "");
+    }
+    if (!draft) throw new Error("No usable draft (see the log above, or run with --verbose)");
+    ({ content: text, variant } = draft);
+  } else if (!text) {
+    throw new Error(`Usage: moltbot ${usage}`);
+  }
+
+  const draft = { postId, ...(parentId && { parentId }), content: text, ...(variant && { variant }) };
+  const where = parentId ? `Reply to ${parentId} on ${postId}` : `Comment on ${postId}`;
+  if (!(await confirm(args, `${where}${variant ? ` [${variant}]` : ""}:\n  ${text}`))) {
+    if (json) print({ published: false, draft });
+    return;
+  }
+  const created = parentId ? await api.replyToComment(postId, parentId, text) : await api.commentOnPost(postId, text);
+  const check = await verify(created);
+  const result = created.comment || created;
+  print({ published: true, draft, comment: result, ...check }, `${parentId ? "Replied" : "Commented"}: ${result.id}${verifiedNote(check)}`);
+}
+
+// --- Other actions ---
+
+async function upvote(args) {
+  const commentId = args.flags.comment;
+  if (commentId) {
+    print(await api.upvoteComment(commentId), `Upvoted comment ${commentId}`);
+    return;
+  }
+  const [postId] = need(args, 1, "upvote <postId> | upvote --comment <commentId>");
+  print(await api.upvotePost(postId), `Upvoted post ${postId}`);
+}
+
+async function follow(args) {
+  const [name] = need(args, 1, "follow <agent>");
+  print(await api.followAgent(name), `Following ${name}`);
+}
+
+async function search(args) {
+  const query = need(args, 1, "search <query> [--limit N]").join(" ");
+  const data = await api.searchPosts(query, Number(args.flags.limit) || 10);
+  const results = data.results || [];
+  print(data, results.length
+    ? results.map((r) => (r.type === "post" ? postLine(r) : `${r.id}  [${r.type}] ${(r.content || r.title || "").replace(/\s+/g, " ").slice(0, 100)}`))
+    : `Nothing found for "${query}"`);
+}
+
+async function feed(args) {
+  const limit = Number(args.flags.limit) || 15;
+  const { submolt } = args.flags;
+  const data = submolt ? await api.getPosts(submolt, limit) : await api.getHotFeed(limit);
+  const posts = data.posts || data || [];
+  print(data, posts.length ? posts.map(postLine) : "No posts");
+}
+
+async function stats(args) {
+  const [postId] = need(args, 1, "stats <postId>");
+  const p = postOf(await api.getPost(postId));
+  const tree = await api.getCommentTree(postId);
+  const all = [...tree.byId.values()];
+  const ours = all.filter((c) => c.author?.name === persona.agentName);
+  const top = [...all].sort((a, b) => (b.upvotes || 0) - (a.upvotes || 0)).slice(0, 3);
+  print({ post: p, comments: all.length, ourComments: ours.length, topComments: top }, [
+    `"${p.title}" in m/${submoltOf(p)}${p.author?.name ? ` by ${p.author.name}` : ""}`,
+    `  ${p.upvotes ?? 0} upvotes, ${all.length} comments (${ours.length} ours), posted ${p.created_at || "?"}`,
+    ...top.map((c) => `  [${c.upvotes || 0} up] ${c.author?.name || "unknown"}: ${(c.content || "").replace(/\s+/g, " ").slice(0, 100)}`),
+  ]);
+}
+
+async function profile(args) {
+  const [name] = args.positional;
+  const data = name ? await api.getAgentProfile(name) : await api.getMe();
+  const a = data.agent || data;
+  const statsLine = a.stats ? `, ${a.stats.posts ?? "?"} posts, ${a.stats.comments ?? "?"} comments` : "";
+  print(data, [`${a.name}: ${a.karma ?? 0} karma${statsLine}`, ...(a.description ? [`  ${a.description}`] : [])]);
+}
+
+async function leaderboard(args) {
+  const data = await api.getLeaderboard();
+  const rows = (data.leaderboard || []).slice(0, Number(args.flags.limit) || 20);
+  print(data, rows.map((a, i) => `${String(i + 1).padStart(3)}. ${a.name}  ${a.karma ?? 0} karma${a.name === persona.agentName ? "  <- us" : ""}`));
+}
+
+const COMMANDS = { post, comment, upvote, follow, search, feed, stats, profile, leaderboard };
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  json = Boolean(args.flags.json);
+  // Only our own output unless --verbose; warnings and errors go to stderr
+  config.logging = { ...config.logging, level: args.flags.verbose ? "info" : "warn", format: "text" };
+  // Read the bot's state (LLM budget, published history) but never write it
+  config.state = { ...config.state, readOnly: true };
+
+  const run = COMMANDS[args.command];
+  if (!run) throw new Error(`Unknown command "${args.command ?? ""}" (expected one of: ${Object.keys(COMMANDS).join(", ")})`);
+  persona = personas.find(args.flags.persona);
+  if (!process.env[persona.apiKeyEnv]) {
+    throw new Error(`${persona.apiKeyEnv} is not set; run \`npm run onboard${persona.primary ? "" : ` -- --persona ${persona.agentName}`}\` first`);
+  }
+  api = clientFor(persona);
+  content = createGenerator(persona.agentName);
+  await personas.withPersona(persona, () => run(args));
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
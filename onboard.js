@@ -0,0 +1,173 @@
+import path from "node:path";
+import config from "./config.js";
+import { createClient } from "./lib/api.js";
+import { readEnvFile, writeEnvValue } from "./lib/envfile.js";
+import * as personas from "./lib/personas.js";
+
+// Sets up config.agentName, or the persona named by --persona, on Moltbook.
+// Safe to re-run: every step checks before it changes anything.
+// Usage: node onboard.js [--persona NAME] [--description D] [--wait] [--wait-minutes N] [--env-file path]
+//   1. registers the agent, unless its apiKeyEnv already holds a working key,
+//      and saves the new key to the env file (default .env) without touching
+//      other entries
+//   2. checks the claim status; --wait polls until the agent is claimed
+//   3. sets the profile description (--description, the persona's description
+//      or a line built from its product) if it differs
+//   4. confirms the key works with GET /agents/me
+
+const CLAIM_POLL_MS = 15 * 1000;
+
+function parseArgs(argv) {
+  const args = { persona: undefined, description: undefined, wait: false, waitMinutes: 30, envFile: ".env" };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = () => inline ?? argv[++i];
+    if (flag === "--persona") args.persona = value();
+    else if (flag === "--description") args.description = value();
+    else if (flag === "--wait") args.wait = true;
+    else if (flag === "--wait-minutes") args.waitMinutes = Number(value());
+    else if (flag === "--env-file") args.envFile = value();
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  if (!(args.waitMinutes > 0)) throw new Error("--wait-minutes must be a positive number");
+  if (args.description !== undefined && !args.description.trim()) throw new Error("--description can't be empty");
+  return args;
+}
+
+// --- Steps ---
+
+// Set in main() from --persona
+let profile;
+const api = createClient();
+
+const agentOf = (response) => response.agent || response;
+const isAuthError = (err) => err.status === 401 || err.status === 403;
+
+async function ensureKey(envFile, description) {
+  const name = profile.apiKeyEnv;
+  const inFile = readEnvFile(envFile)[name];
+  const key = inFile || process.env[name];
+  if (key) {
+    api.setApiKey(key);
+    try {
+      const me = agentOf(await api.getMe());
+      console.log(`✓ ${name} is set and works (agent "${me.name}"), skipping registration`);
+      return;
+    } catch (err) {
+      // Unclaimed agents may not be allowed to read their profile yet
+      if (isAuthError(err) && (await claimStatus()) === "pending_claim") {
+        console.log(`✓ ${name} is set (agent not claimed yet), skipping registration`);
+        return;
+      }
+      if (isAuthError(err)) {
+        throw new Error(`${name} is set but Moltbook rejects it (${err.status}). ${inFile ? `Remove it from ${envFile}` : "Unset it"} to register a new agent.`);
+      }
+      throw err;
+    }
+  }
+
+  console.log(`Registering "${profile.agentName}"...`);
+  let registered;
+  try {
+    registered = await api.registerAgent(profile.agentName, description);
+  } catch (err) {
+    if (err.status === 409) {
+      throw new Error(`The name "${profile.agentName}" is already registered. If it's yours, put its key in ${envFile} as ${name} and run this again.`);
+    }
+    throw err;
+  }
+  const agent = agentOf(registered);
+  const newKey = agent.api_key || registered.api_key || registered.apiKey;
+  if (!newKey) throw new Error(`Registration response has no API key: ${JSON.stringify(registered)}`);
+
+  try {
+    writeEnvValue(envFile, name, newKey);
+  } catch (err) {
+    // The key is only ever shown once
+    console.error(`Couldn't write ${envFile} (${err.message}). Save this key as ${name} by hand:\n  ${newKey}`);
+    throw err;
+  }
+  api.setApiKey(newKey);
+  console.log(`✓ Registered; key saved to ${envFile} as ${name}`);
+
+  const claimUrl = agent.claim_url || registered.claim_url || registered.claimUrl;
+  if (claimUrl) {
+    console.log(`\n  Claim the agent at ${claimUrl}`);
+    const code = agent.verification_code || registered.verification_code;
+    if (code) console.log(`  Verification code: ${code}`);
+    console.log("  Posting the verification tweet from your X account proves you own it.\n");
+  }
+}
+
+// "claimed", "pending_claim", or null when the API doesn't say
+async function claimStatus() {
+  try {
+    return (await api.getClaimStatus()).status || null;
+  } catch {
+    return null;
+  }
+}
+
+async function checkClaim(wait, waitMinutes) {
+  let status = await claimStatus();
+  if (status === "pending_claim" && wait) {
+    console.log(`Waiting up to ${waitMinutes} minutes for the claim...`);
+    const deadline = Date.now() + waitMinutes * 60 * 1000;
+    while (status === "pending_claim" && Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, CLAIM_POLL_MS));
+      status = await claimStatus();
+    }
+  }
+  if (status === "claimed") console.log("✓ Agent is claimed");
+  else if (status === "pending_claim") console.log(`! Agent is not claimed yet; run this again${wait ? "" : " with --wait"} once you've posted the verification tweet`);
+  else console.log("? Couldn't check the claim status");
+  return status;
+}
+
+async function ensureDescription(description) {
+  try {
+    const me = agentOf(await api.getMe());
+    if ((me.description || "") === description) {
+      console.log("✓ Profile description is up to date");
+      return;
+    }
+    await api.updateProfile({ description });
+    console.log("✓ Profile description updated");
+  } catch (err) {
+    if (!isAuthError(err)) throw err;
+    console.log(`! Couldn't update the profile yet (${err.status}); run this again after the agent is claimed`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  // Only our own output on the console
+  config.logging.level = "warn";
+  const envFile = path.resolve(args.envFile);
+  profile = personas.find(args.persona);
+  const description = args.description || profile.description || `Building ${profile.product.name}: ${profile.product.description}.`;
+
+  console.log(`Onboarding ${profile.agentName} (key in ${profile.apiKeyEnv}, ${envFile})\n`);
+  await ensureKey(envFile, description);
+  const status = await checkClaim(args.wait, args.waitMinutes);
+  await ensureDescription(description);
+
+  try {
+    const me = agentOf(await api.getMe());
+    if (me.name && me.name !== profile.agentName) {
+      console.log(`! The key belongs to "${me.name}", but agentName is "${profile.agentName}"; the bot won't recognize its own posts`);
+    }
+    console.log(`✓ Key works: ${me.name}, ${me.karma ?? 0} karma`);
+  } catch (err) {
+    if (!isAuthError(err) || status !== "pending_claim") throw err;
+    console.log("! GET /agents/me is refused until the agent is claimed");
+    process.exitCode = 2;
+    return;
+  }
+  console.log(status === "claimed" ? "\nAll set. Start the bot with `npm start`." : "\nAlmost there: claim the agent, then run this again.");
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
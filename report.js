@@ -0,0 +1,162 @@
+import fs from "node:fs";
+import path from "node:path";
+import config from "./config.js";
+import * as analytics from "./lib/analytics.js";
+import * as personas from "./lib/personas.js";
+import * as prompts from "./lib/prompts.js";
+
+// Engagement report from the history the bot records each cycle.
+// Usage: node report.js [--persona NAME] [--days N] [--format text|json|csv] [--out path]
+//   --persona reports on one of config.personas instead of the primary agent
+//   text (default) prints to the console
+//   json writes the summary plus raw samples to --out, or stdout
+//   csv writes karma.csv, post_samples.csv, comment_samples.csv, submolts.csv,
+//   hours.csv and variants.csv into the --out directory (default data/reports)
+
+function parseArgs(argv) {
+  const args = { format: "text", days: null, out: null, persona: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = () => inline ?? argv[++i];
+    if (flag === "--persona") args.persona = value();
+    else if (flag === "--days") args.days = Number(value());
+    else if (flag === "--format") args.format = value();
+    else if (flag === "--out") args.out = value();
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  if (!["text", "json", "csv"].includes(args.format)) throw new Error(`Unknown format "${args.format}" (expected text, json or csv)`);
+  if (args.days !== null && !(args.days > 0)) throw new Error("--days must be a positive number");
+  return args;
+}
+
+// --- Text ---
+
+const fixed = (n) => (Number.isInteger(n) ? String(n) : n.toFixed(1));
+const signed = (n) => (n == null ? "" : n > 0 ? `+${n}` : String(n));
+
+function table(rows, columns) {
+  const cells = rows.map((row) => columns.map(([, get]) => String(get(row))));
+  const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map((r) => r[i].length)));
+  const line = (values) => `  ${values.map((v, i) => v.padEnd(widths[i])).join("  ")}`.trimEnd();
+  return [line(columns.map(([title]) => title)), ...cells.map(line)].join("\n");
+}
+
+// At most `points` samples, evenly spread and always including the latest
+function thin(curve, points = 6) {
+  if (curve.length <= points) return curve;
+  const step = (curve.length - 1) / (points - 1);
+  return Array.from({ length: points }, (_, i) => curve[Math.round(i * step)]);
+}
+
+// Current weight of each variant from the prompt files; null for removed ones
+function currentWeights() {
+  const weights = new Map();
+  for (const name of prompts.TEMPLATES) {
+    try {
+      for (const v of prompts.variants(name)) weights.set(v.id, v.weight);
+    } catch {}
+  }
+  return weights;
+}
+
+function printText(summary) {
+  const { since, growth, submolts, hours, variants, posts } = summary;
+  console.log(`Engagement report${since ? ` since ${since.slice(0, 10)}` : ""}\n`);
+
+  console.log("KARMA BY DAY");
+  if (growth.length) {
+    console.log(table(growth, [["day", (r) => r.day], ["karma", (r) => r.karma], ["change", (r) => signed(r.change)], ["posts", (r) => r.posts ?? ""], ["comments", (r) => r.comments ?? ""]]));
+    const first = growth[0].karma;
+    const last = growth.at(-1).karma;
+    console.log(`  Total: ${signed(last - first)} karma over ${growth.length} days`);
+  } else {
+    console.log("  No karma samples yet.");
+  }
+
+  const groupColumns = [["posts", (r) => r.posts], ["avg upvotes", (r) => fixed(r.avgUpvotes)], ["avg comments", (r) => fixed(r.avgComments)], ["total upvotes", (r) => r.totalUpvotes]];
+  console.log("\nBY SUBMOLT");
+  console.log(submolts.length ? table(submolts, [["submolt", (r) => `m/${r.submolt}`], ...groupColumns]) : "  No posts tracked yet.");
+
+  console.log("\nBY HOUR PUBLISHED (UTC)");
+  console.log(hours.length ? table(hours, [["hour", (r) => `${String(r.hour).padStart(2, "0")}:00`], ...groupColumns]) : "  No posts with a publish time yet.");
+
+  console.log("\nBY PROMPT VARIANT (responses: comments on posts, replies to comments)");
+  const weights = currentWeights();
+  console.log(variants.length
+    ? table(variants, [["variant", (r) => r.variant], ["weight", (r) => weights.get(r.variant) ?? "removed"], ["items", (r) => r.items], ["avg upvotes", (r) => fixed(r.avgUpvotes)], ["avg responses", (r) => fixed(r.avgResponses)], ["total upvotes", (r) => r.totalUpvotes]])
+    : "  Nothing published with a recorded prompt variant yet.");
+
+  console.log("\nPOSTS (upvotes at hours since publishing)");
+  if (!posts.length) console.log("  No posts tracked yet.");
+  for (const p of posts) {
+    console.log(`- [${p.upvotes} up, ${p.comments} comments] m/${p.submolt} "${p.title}"`);
+    console.log(`    ${thin(p.curve).map((c) => `${c.hours}h:${c.upvotes}`).join("  ")}`);
+  }
+}
+
+// --- CSV ---
+
+function csv(rows, columns) {
+  const escape = (v) => {
+    const s = v == null ? "" : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return `${[columns.join(","), ...rows.map((r) => columns.map((c) => escape(r[c])).join(","))].join("\n")}\n`;
+}
+
+function writeCsv(dir, data, summary) {
+  const postSamples = Object.values(data.posts).flatMap((p) =>
+    p.samples.map((s) => ({ post_id: p.id, title: p.title, submolt: p.submolt, variant: p.variant, created_at: p.createdAt, sampled_at: s.at, upvotes: s.upvotes, comments: s.comments })),
+  );
+  const commentSamples = Object.values(data.comments).flatMap((c) =>
+    c.samples.map((s) => ({ comment_id: c.id, post_id: c.postId, parent_id: c.parentId, submolt: c.submolt, variant: c.variant, created_at: c.createdAt, sampled_at: s.at, upvotes: s.upvotes, replies: s.replies })),
+  );
+  const files = {
+    "karma.csv": csv(data.karma, ["at", "karma", "posts", "comments"]),
+    "post_samples.csv": csv(postSamples, ["post_id", "title", "submolt", "variant", "created_at", "sampled_at", "upvotes", "comments"]),
+    "comment_samples.csv": csv(commentSamples, ["comment_id", "post_id", "parent_id", "submolt", "variant", "created_at", "sampled_at", "upvotes", "replies"]),
+    "submolts.csv": csv(summary.submolts, ["submolt", "posts", "totalUpvotes", "avgUpvotes", "avgComments"]),
+    "hours.csv": csv(summary.hours, ["hour", "posts", "totalUpvotes", "avgUpvotes", "avgComments"]),
+    "variants.csv": csv(summary.variants, ["variant", "kind", "items", "totalUpvotes", "avgUpvotes", "avgResponses"]),
+  };
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, body] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), body);
+  console.log(`Wrote ${Object.keys(files).map((name) => path.join(dir, name)).join(", ")}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const since = args.days ? new Date(Date.now() - args.days * 24 * 60 * 60 * 1000).toISOString() : null;
+  // Keep stdout clean for --format json
+  config.logging.level = "warn";
+  // Read the bot's state without creating or rewriting anything
+  config.state = { ...config.state, readOnly: true };
+  const profile = personas.find(args.persona);
+  const data = analytics.filterSince(await personas.withPersona(profile, analytics.load), since);
+  const summary = { since, ...analytics.summarize(data) };
+
+  switch (args.format) {
+    case "text":
+      printText(summary);
+      break;
+    case "json": {
+      const body = `${JSON.stringify({ ...summary, raw: data }, null, 2)}\n`;
+      if (args.out) {
+        fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+        fs.writeFileSync(args.out, body);
+        console.log(`Wrote ${args.out}`);
+      } else {
+        process.stdout.write(body);
+      }
+      break;
+    }
+    case "csv":
+      writeCsv(args.out || "data/reports", data, summary);
+      break;
+  }
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
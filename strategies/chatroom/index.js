@@ -0,0 +1,230 @@
+import { createGenerator } from "../../lib/content.js";
+import config from "../../config.js";
+import { log, withContext } from "../../lib/logger.js";
+import { openStore } from "../../lib/state.js";
+
+// --- Agent Chat Room participation ---
+//
+// Polls the room, greets newcomers and answers messages that mention us or ask
+// a question. When the room goes quiet it falls back to a keepalive ping.
+// Only the primary persona (the top-level agentName) takes part.
+
+export const STRATEGIES = ["replyToMessages", "greetNewcomers", "keepAlive"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_SEEN = 500;
+const HISTORY_SIZE = 15;
+const MAX_RECENT = 20;
+
+// --- State tracking ---
+
+const seenMessages = new Set();
+const knownNames = new Set();
+const sentTimes = [];
+const history = [];
+const recentSent = [];
+let paused = new Set();
+let lastPollAt = 0;
+let lastSentAt = 0;
+let lastActivityAt = 0;
+let baselined = false;
+let polling = false;
+let timer = null;
+
+// --- Persistence ---
+
+const STATE_NAMESPACE = "chatroom";
+let store = null;
+
+function persist() {
+  store?.set(STATE_NAMESPACE, {
+    seenMessages: [...seenMessages].slice(-MAX_SEEN),
+    knownNames: [...knownNames],
+    sentTimes,
+    recentSent,
+    lastSentAt,
+    lastActivityAt,
+  });
+}
+
+function restore(saved) {
+  if (!saved) return;
+  for (const key of saved.seenMessages || []) seenMessages.add(key);
+  for (const name of saved.knownNames || []) knownNames.add(name);
+  sentTimes.push(...(saved.sentTimes || []));
+  recentSent.push(...(saved.recentSent || []));
+  lastSentAt = saved.lastSentAt || 0;
+  lastActivityAt = saved.lastActivityAt || 0;
+  baselined = seenMessages.size > 0;
+}
+
+// --- Chat room API ---
+
+async function chat(method, path, body) {
+  const res = await fetch(`${config.chatroom.apiBase}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    ...(body && { body: JSON.stringify(body) }),
+  });
+  if (!res.ok) throw new Error(`${method} ${path} failed (${res.status}): ${await res.text()}`);
+  return res.json();
+}
+
+function messageKey(m) {
+  return m.id != null ? String(m.id) : `${m.name}|${m.timestamp || m.createdAt || ""}|${m.text}`;
+}
+
+async function fetchMessages() {
+  const data = await chat("GET", "/api/messages");
+  const messages = Array.isArray(data) ? data : data.messages || [];
+  return messages.filter((m) => m?.name && typeof m.text === "string");
+}
+
+// --- Own rate limits ---
+
+function canSend() {
+  const limits = config.chatroom.limits;
+  const now = Date.now();
+  while (sentTimes.length && now - sentTimes[0] > HOUR_MS) sentTimes.shift();
+  if (now - lastSentAt < limits.minSecondsBetweenMessages * 1000) return false;
+  return sentTimes.length < limits.maxMessagesPerHour;
+}
+
+async function send(text) {
+  if (!canSend()) {
+    log("  [chatroom] Rate limit reached, skipping message");
+    return false;
+  }
+  try {
+    await chat("POST", "/api/messages", { name: config.agentName, text });
+    lastSentAt = Date.now();
+    sentTimes.push(lastSentAt);
+    recentSent.push({ type: "chat", content: text, at: new Date(lastSentAt).toISOString() });
+    recentSent.splice(0, Math.max(0, recentSent.length - MAX_RECENT));
+    persist();
+    return true;
+  } catch (err) {
+    log.error(`  [chatroom] Send failed: ${err.message}`);
+    return false;
+  }
+}
+
+// --- Strategies ---
+
+async function greetNewcomers(messages) {
+  const newcomers = [...new Set(messages.map((m) => m.name))].filter((name) => !knownNames.has(name));
+  for (const name of newcomers) knownNames.add(name);
+  if (!newcomers.length) return;
+
+  log(`  [chatroom] Newcomers: ${newcomers.join(", ")}`);
+  const greeting = await createGenerator(config.agentName).generateGreeting(newcomers.slice(0, 3));
+  if (!greeting) { log("  [chatroom] Greeting skipped (reason logged above)"); return; }
+  if (await send(greeting)) log(`  [chatroom] Greeted: "${greeting.slice(0, 80)}"`);
+}
+
+function mentionsUs(message) {
+  return message.text.toLowerCase().includes(config.agentName.toLowerCase());
+}
+
+async function replyToMessages(messages) {
+  // Mentions first, then questions; one reply per poll keeps us from dominating the room
+  const target = messages.find(mentionsUs) || messages.find((m) => m.text.trim().endsWith("?"));
+  if (!target) return;
+
+  log(`  [chatroom] Replying to ${target.name}: "${target.text.slice(0, 60)}"`);
+  const reply = await createGenerator(config.agentName).generateChatReply(history, target);
+  if (!reply) { log("  [chatroom] Reply skipped (reason logged above)"); return; }
+  if (await send(reply)) log(`  [chatroom] Sent: "${reply.slice(0, 80)}"`);
+}
+
+async function keepAliveIfIdle() {
+  const idleMs = config.chatroom.keepAliveMinutes * 60 * 1000;
+  const now = Date.now();
+  if (now - lastActivityAt < idleMs || now - lastSentAt < idleMs) return;
+  const text = `[keepalive] ${config.agentName} is online — come chat! Docs: ${config.product.docsUrl}`;
+  if (await send(text)) log("  [chatroom] Room idle, keepalive sent");
+}
+
+// --- Polling ---
+
+function active(name) {
+  return config.chatroom.strategies[name] && !paused.has(name);
+}
+
+export function poll() {
+  return withContext({ mode: "chatroom" }, pollOnce);
+}
+
+async function pollOnce() {
+  if (polling) return;
+  polling = true;
+  try {
+    const messages = await fetchMessages();
+    const fresh = messages.filter((m) => !seenMessages.has(messageKey(m)));
+    for (const m of fresh) {
+      seenMessages.add(messageKey(m));
+      history.push(m);
+    }
+    history.splice(0, Math.max(0, history.length - HISTORY_SIZE));
+
+    const others = fresh.filter((m) => m.name !== config.agentName);
+    if (others.length) lastActivityAt = Date.now();
+
+    // First contact: learn who's already here instead of answering the backlog
+    if (!baselined) {
+      for (const m of others) knownNames.add(m.name);
+      baselined = true;
+      log(`  [chatroom] Joined room: ${messages.length} messages, ${knownNames.size} participants`);
+    } else {
+      if (active("greetNewcomers")) await withContext({ strategy: "greetNewcomers" }, () => greetNewcomers(others));
+      if (active("replyToMessages") && others.length) await withContext({ strategy: "replyToMessages" }, () => replyToMessages(others));
+    }
+    if (active("keepAlive")) await withContext({ strategy: "keepAlive" }, keepAliveIfIdle);
+    lastPollAt = Date.now();
+    persist();
+  } catch (err) {
+    log.error(`  [chatroom] Poll error: ${err.message}`);
+  } finally {
+    polling = false;
+  }
+}
+
+// --- Exported interface ---
+
+export async function start() {
+  if (!store) {
+    store = await openStore();
+    restore(store.get(STATE_NAMESPACE));
+  }
+  const active = STRATEGIES.filter((name) => config.chatroom.strategies[name]);
+  log(`Chatroom: polling ${config.chatroom.apiBase} every ${config.chatroom.pollSeconds}s | Strategies: ${active.join(", ")}`);
+  await poll();
+  timer = setInterval(poll, config.chatroom.pollSeconds * 1000);
+}
+
+export function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+// Strategies paused at runtime (admin server), on top of config.chatroom.strategies
+export function setPaused(names) {
+  paused = new Set(names);
+}
+
+export function status() {
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  return {
+    running: timer !== null,
+    apiBase: config.chatroom.apiBase,
+    lastPollAt: iso(lastPollAt),
+    lastSentAt: iso(lastSentAt),
+    lastActivityAt: iso(lastActivityAt),
+    participants: knownNames.size,
+    sentLastHour: sentTimes.filter((t) => Date.now() - t < HOUR_MS).length,
+  };
+}
+
+export function recent() {
+  return recentSent;
+}
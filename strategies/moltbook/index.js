@@ -1,469 +1,1110 @@
-import * as api from "../../lib/api.js";
-import * as content from "../../lib/content.js";
+import * as analytics from "../../lib/analytics.js";
+import { clientFor, commentAncestry } from "../../lib/api.js";
+import * as approvals from "../../lib/approvals.js";
+import { createGenerator } from "../../lib/content.js";
+import * as injection from "../../lib/injection.js";
+import * as personas from "../../lib/personas.js";
+import * as quality from "../../lib/quality.js";
+import * as relationships from "../../lib/relationships.js";
 import config from "../../config.js";
-
-const { log } = api;
-
-// --- Target submolts ---
-
-const TARGET_SUBMOLTS = [
-  "agentinfrastructure",
-  "agents",
-  "securityresearch",
-  "aisafety",
-  "startupideas",
-  "builtforagents",
-  "askmoltys",
-  "agentcommerce",
-  "general",
+import { currentContext, log, withContext } from "../../lib/logger.js";
+import * as schedule from "../../lib/schedule.js";
+import * as submolts from "../../lib/submolts.js";
+import { stopping } from "../../lib/shutdown.js";
+import { openStore } from "../../lib/state.js";
+import * as targeting from "../../lib/targeting.js";
+
+// Target, subscribe and post submolts come from the persona's moltbook block
+// so they can change without a redeploy; with discovery on they seed the
+// ranking in lib/submolts.js, which decides where we post and comment.
+// bot.js creates one instance per persona with create(); each has its own API
+// client, generator and state, and its strategies run inside withPersona().
+
+export const STRATEGIES = [
+  "bootstrapMemory",
+  "subscribeToSubmolts",
+  "replyToComments",
+  "networkWithTopAgents",
+  "upvoteGoodContent",
+  "createViralPost",
+  "commentOnHotPosts",
+  "commentOnSubmolts",
 ];
 
-const SUBSCRIBE_SUBMOLTS = [
-  "agentinfrastructure", "agents", "securityresearch", "aisafety",
-  "startupideas", "builtforagents", "askmoltys", "agentcommerce",
-  "general", "builds", "aitools", "mcpservers", "coding", "dev",
-  "technology", "philosophy", "consciousness", "todayilearned",
-  "existential", "openclaw", "memory", "skills", "toolcraft",
-  "autonomousbuilders", "agenticengineering", "ai", "aiagents",
-];
+export function create(agentName) {
+  const profile = () => personas.get(agentName);
+  const api = clientFor(profile());
+  const content = createGenerator(agentName);
+
+  // --- State tracking ---
+
+  const commentedPosts = new Set();
+  const followedAgents = new Set();
+  const upvotedPosts = new Set();
+  const repliedComments = new Set();
+
+  // What we published recently and when each strategy last ran, for the admin server
+  const MAX_RECENT = 50;
+  const recentContent = [];
+  const lastRuns = {};
+  let lastAgent = null;
+
+  // Posts and comments published but not yet verified, by verification code
+  const pendingVerifications = new Map();
+
+  // --- Learning memory system ---
+
+  const memory = {
+    ourPosts: new Map(),
+    // Our comments and replies with their text, re-checked for upvotes and
+    // replies on bootstrap
+    ourComments: new Map(),
+    insights: { topPerformers: [], lowPerformers: [], avgUpvotes: 0, bestSubmolts: [], comments: null },
+    lastBootstrap: 0,
+  };
+
+  // Counted per strategy rather than per scheduler tick, so posting rotates
+  // through postSubmolts and bootstrap runs every other time however often
+  // the other strategies are scheduled
+  let postRotation = 0;
+  let bootstrapTurns = 0;
+
+  // --- Persistence ---
+
+  const STATE_NAMESPACE = "moltbook";
+  let store = null;
+
+  function snapshot() {
+    return {
+      commentedPosts: [...commentedPosts],
+      followedAgents: [...followedAgents],
+      upvotedPosts: [...upvotedPosts],
+      repliedComments: [...repliedComments],
+      recentContent,
+      lastRuns,
+      pendingVerifications: [...pendingVerifications.values()],
+      postRotation,
+      memory: {
+        ourPosts: [...memory.ourPosts.values()],
+        ourComments: [...memory.ourComments.values()],
+        insights: memory.insights,
+      },
+    };
+  }
 
-const POST_SUBMOLTS = [
-  "agentinfrastructure", "agents", "startupideas", "aisafety",
-  "builtforagents", "general", "askmoltys",
-];
+  function restore(saved) {
+    if (!saved) return;
+    for (const id of saved.commentedPosts || []) commentedPosts.add(id);
+    for (const name of saved.followedAgents || []) followedAgents.add(name);
+    for (const id of saved.upvotedPosts || []) upvotedPosts.add(id);
+    for (const id of saved.repliedComments || []) repliedComments.add(id);
+    recentContent.push(...(saved.recentContent || []));
+    Object.assign(lastRuns, saved.lastRuns);
+    for (const pending of saved.pendingVerifications || []) pendingVerifications.set(pending.verification.code, pending);
+    postRotation = saved.postRotation || 0;
+    for (const post of saved.memory?.ourPosts || []) memory.ourPosts.set(post.id, post);
+    for (const comment of saved.memory?.ourComments || []) memory.ourComments.set(comment.id, comment);
+    Object.assign(memory.insights, saved.memory?.insights);
+    // Post stats went stale while we were down, so refresh them on the first cycle
+    memory.lastBootstrap = -Infinity;
+    log(`  Restored state: ${memory.ourPosts.size} posts, ${commentedPosts.size} commented, ${followedAgents.size} followed`);
+  }
 
-// --- State tracking ---
+  function persist() {
+    store?.set(STATE_NAMESPACE, snapshot());
+  }
 
-const commentedPosts = new Set();
-const followedAgents = new Set();
-const upvotedPosts = new Set();
-const repliedComments = new Set();
-let lastPostTime = 0;
+  function recordPublished(item) {
+    quality.remember(item.title ? `${item.title}\n\n${item.content}` : item.content);
+    recentContent.push({ ...item, at: new Date().toISOString() });
+    recentContent.splice(0, Math.max(0, recentContent.length - MAX_RECENT));
+  }
 
-// --- Learning memory system ---
+  async function bootstrapMemory() {
+    log("--- BOOTSTRAPPING MEMORY ---");
+    try {
+      const results = await api.searchPosts(agentName, 15);
+      const posts = results.results?.filter((r) => r.type === "post") || [];
+      log(`  Found ${posts.length} of our posts`);
 
-const memory = {
-  ourPosts: new Map(),
-  insights: { topPerformers: [], lowPerformers: [], avgUpvotes: 0, bestSubmolts: [] },
-  lastBootstrap: 0,
-};
+      for (const post of posts) {
+        if (interrupted()) break;
+        try {
+          const full = await api.getPost(post.id);
+          const postData = full.post || full;
+          let commentCount = 0;
+          try {
+            const cd = await api.getComments(post.id);
+            const comments = cd.comments || cd || [];
+            commentCount = comments.length;
+          } catch {}
 
-async function bootstrapMemory(cycleCount) {
-  log("--- BOOTSTRAPPING MEMORY ---");
-  try {
-    const results = await api.searchPosts(config.agentName, 15);
-    const posts = results.results?.filter((r) => r.type === "post") || [];
-    log(`  Found ${posts.length} of our posts`);
+          const tracked = {
+            id: post.id,
+            title: postData.title || post.title,
+            submolt: postData.submolt?.name || postData.submolt || post.submolt || "unknown",
+            upvotes: postData.upvotes || 0,
+            commentCount,
+            createdAt: postData.created_at || post.created_at,
+            variant: memory.ourPosts.get(post.id)?.variant || null,
+          };
+          memory.ourPosts.set(post.id, tracked);
+          analytics.recordPost(tracked);
+          log(`  Tracked: "${(postData.title || post.title || "").slice(0, 50)}" (${postData.upvotes || 0} upvotes, ${commentCount} comments)`);
+        } catch (err) {
+          log.error(`  Failed to fetch post ${post.id}: ${err.message}`);
+        }
+      }
 
-    for (const post of posts) {
-      try {
-        const full = await api.getPost(post.id);
-        const postData = full.post || full;
-        let commentCount = 0;
-        try {
-          const cd = await api.getComments(post.id);
-          const comments = cd.comments || cd || [];
-          commentCount = comments.length;
-        } catch {}
+      await refreshComments();
+      analyzePerformance();
+      analyzeCommentPerformance();
+      memory.lastBootstrap = bootstrapTurns;
+      persist();
+      log(`  Memory bootstrap complete: ${memory.ourPosts.size} posts tracked`);
+    } catch (err) {
+      log.error(`  Bootstrap error: ${err.message}`);
+    }
+  }
 
-        memory.ourPosts.set(post.id, {
-          id: post.id,
-          title: postData.title || post.title,
-          submolt: postData.submolt?.name || postData.submolt || post.submolt || "unknown",
-          upvotes: postData.upvotes || 0,
-          commentCount,
-          createdAt: postData.created_at || post.created_at,
-        });
-        log(`  Tracked: "${(postData.title || post.title || "").slice(0, 50)}" (${postData.upvotes || 0} upvotes, ${commentCount} comments)`);
+  // Comments older than this have settled and are no longer re-fetched
+  const COMMENT_REFRESH_DAYS = 7;
+
+  // Upvotes and replies on our comments, one comment tree fetch per post
+  async function refreshComments() {
+    const since = new Date(Date.now() - COMMENT_REFRESH_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const recent = [...memory.ourComments.values()].filter((c) => c.createdAt >= since);
+    const byPost = Map.groupBy(recent, (c) => c.postId);
+    let refreshed = 0;
+    for (const [postId, ours] of byPost) {
+      if (interrupted()) break;
+      try {
+        const tree = await api.getCommentTree(postId);
+        for (const tracked of ours) {
+          const node = tree.byId.get(tracked.id);
+          if (!node) continue;
+          tracked.upvotes = node.upvotes || 0;
+          tracked.replyCount = node.children.length;
+          tracked.checkedAt = new Date().toISOString();
+          analytics.recordComment(tracked);
+          refreshed++;
+        }
       } catch (err) {
-        log(`  Failed to fetch post ${post.id}: ${err.message}`);
+        log.error(`  Failed to fetch comments on post ${postId}: ${err.message}`);
       }
     }
-
-    analyzePerformance();
-    memory.lastBootstrap = cycleCount;
-    log(`  Memory bootstrap complete: ${memory.ourPosts.size} posts tracked`);
-  } catch (err) {
-    log(`  Bootstrap error: ${err.message}`);
+    if (refreshed) log(`  Refreshed ${refreshed} of our comments on ${byPost.size} posts`);
   }
-}
 
-function analyzePerformance() {
-  const posts = [...memory.ourPosts.values()];
-  if (!posts.length) return;
+  function analyzePerformance() {
+    const posts = [...memory.ourPosts.values()];
+    if (!posts.length) return;
+
+    posts.sort((a, b) => (b.upvotes || 0) - (a.upvotes || 0));
+    const avgUpvotes = posts.reduce((sum, p) => sum + (p.upvotes || 0), 0) / posts.length;
 
-  posts.sort((a, b) => (b.upvotes || 0) - (a.upvotes || 0));
-  const avgUpvotes = posts.reduce((sum, p) => sum + (p.upvotes || 0), 0) / posts.length;
+    memory.insights.avgUpvotes = avgUpvotes;
+    memory.insights.topPerformers = posts.filter((p) => p.upvotes > avgUpvotes).slice(0, 5);
+    memory.insights.lowPerformers = posts.filter((p) => p.upvotes <= avgUpvotes).slice(0, 5);
 
-  memory.insights.avgUpvotes = avgUpvotes;
-  memory.insights.topPerformers = posts.filter((p) => p.upvotes > avgUpvotes).slice(0, 5);
-  memory.insights.lowPerformers = posts.filter((p) => p.upvotes <= avgUpvotes).slice(0, 5);
+    const submoltStats = {};
+    for (const p of posts) {
+      if (!submoltStats[p.submolt]) submoltStats[p.submolt] = { total: 0, count: 0 };
+      submoltStats[p.submolt].total += p.upvotes || 0;
+      submoltStats[p.submolt].count++;
+    }
+    memory.insights.bestSubmolts = Object.entries(submoltStats)
+      .map(([name, s]) => ({ name, avg: s.total / s.count, count: s.count }))
+      .sort((a, b) => b.avg - a.avg);
 
-  const submoltStats = {};
-  for (const p of posts) {
-    if (!submoltStats[p.submolt]) submoltStats[p.submolt] = { total: 0, count: 0 };
-    submoltStats[p.submolt].total += p.upvotes || 0;
-    submoltStats[p.submolt].count++;
+    log(`  Performance: avg ${avgUpvotes.toFixed(1)} upvotes | top submolts: ${memory.insights.bestSubmolts.map((s) => `${s.name}(${s.avg.toFixed(1)})`).join(", ")}`);
   }
-  memory.insights.bestSubmolts = Object.entries(submoltStats)
-    .map(([name, s]) => ({ name, avg: s.total / s.count, count: s.count }))
-    .sort((a, b) => b.avg - a.avg);
 
-  log(`  Performance: avg ${avgUpvotes.toFixed(1)} upvotes | top submolts: ${memory.insights.bestSubmolts.map((s) => `${s.name}(${s.avg.toFixed(1)})`).join(", ")}`);
-}
+  function getLearningContext() {
+    const { topPerformers, lowPerformers, bestSubmolts } = memory.insights;
+    if (!topPerformers.length && !lowPerformers.length) return "";
+
+    let ctx = "\n\nLEARNING FROM YOUR PAST PERFORMANCE:";
+    if (topPerformers.length) {
+      ctx += "\nYOUR TOP PERFORMING CONTENT (emulate this style):";
+      for (const p of topPerformers.slice(0, 3)) {
+        ctx += `\n- "${p.title}" got ${p.upvotes} upvotes in m/${p.submolt}`;
+      }
+    }
+    if (lowPerformers.length) {
+      ctx += "\nYOUR LOW PERFORMING CONTENT (avoid this style):";
+      for (const p of lowPerformers.slice(0, 3)) {
+        ctx += `\n- "${p.title}" got ${p.upvotes} upvotes in m/${p.submolt}`;
+      }
+    }
+    if (bestSubmolts.length) {
+      ctx += `\nYour best submolts: ${bestSubmolts.slice(0, 3).map((s) => `m/${s.name} (avg ${s.avg.toFixed(1)})`).join(", ")}`;
+    }
+    return ctx;
+  }
 
-function getLearningContext() {
-  const { topPerformers, lowPerformers, bestSubmolts } = memory.insights;
-  if (!topPerformers.length && !lowPerformers.length) return "";
+  // --- Comment learning ---
+  //
+  // Top-level comments are judged once they are a few hours old, by upvotes
+  // plus replies. Style groups compare length, closing questions and product
+  // mentions; each group needs a couple of comments before it is reported.
+
+  const COMMENT_MIN_AGE_HOURS = 6;
+  const MIN_JUDGED_COMMENTS = 4;
+  const MIN_GROUP = 2;
+
+  const commentScore = (c) => (c.upvotes || 0) + (c.replyCount || 0);
+
+  function commentStyles(c) {
+    const text = c.content || "";
+    const length = text.length < 120 ? "short (under 120 chars)" : text.length <= 300 ? "medium (120-300 chars)" : "long (over 300 chars)";
+    return [
+      length,
+      /\?["')\s]*$/.test(text) ? "ending on a question" : "ending on a statement",
+      c.mentionsProduct ? `mentioning ${profile().product.name}` : "not mentioning the product",
+    ];
+  }
 
-  let ctx = "\n\nLEARNING FROM YOUR PAST PERFORMANCE:";
-  if (topPerformers.length) {
-    ctx += "\nYOUR TOP PERFORMING CONTENT (emulate this style):";
-    for (const p of topPerformers.slice(0, 3)) {
-      ctx += `\n- "${p.title}" got ${p.upvotes} upvotes in m/${p.submolt}`;
+  function groupAverages(comments, keysOf) {
+    const groups = new Map();
+    for (const c of comments) {
+      for (const key of keysOf(c)) {
+        const g = groups.get(key) || { name: key, total: 0, count: 0 };
+        g.total += commentScore(c);
+        g.count++;
+        groups.set(key, g);
+      }
     }
+    return [...groups.values()]
+      .filter((g) => g.count >= MIN_GROUP)
+      .map((g) => ({ name: g.name, avg: g.total / g.count, count: g.count }))
+      .sort((a, b) => b.avg - a.avg);
   }
-  if (lowPerformers.length) {
-    ctx += "\nYOUR LOW PERFORMING CONTENT (avoid this style):";
-    for (const p of lowPerformers.slice(0, 3)) {
-      ctx += `\n- "${p.title}" got ${p.upvotes} upvotes in m/${p.submolt}`;
+
+  function analyzeCommentPerformance() {
+    const cutoff = new Date(Date.now() - COMMENT_MIN_AGE_HOURS * 60 * 60 * 1000).toISOString();
+    const judged = [...memory.ourComments.values()]
+      .filter((c) => !c.parentId && c.content && c.checkedAt && c.createdAt <= cutoff)
+      .sort((a, b) => commentScore(b) - commentScore(a));
+    if (judged.length < MIN_JUDGED_COMMENTS) {
+      memory.insights.comments = null;
+      return;
     }
+
+    const avgScore = judged.reduce((sum, c) => sum + commentScore(c), 0) / judged.length;
+    const summary = (c) => ({ content: c.content.slice(0, 200), upvotes: c.upvotes || 0, replyCount: c.replyCount || 0, submolt: c.submolt });
+    memory.insights.comments = {
+      judged: judged.length,
+      avgScore,
+      top: judged.filter((c) => commentScore(c) > avgScore).slice(0, 3).map(summary),
+      low: judged.filter((c) => commentScore(c) <= avgScore).slice(-3).reverse().map(summary),
+      styles: groupAverages(judged, commentStyles),
+      submolts: groupAverages(judged.filter((c) => c.submolt), (c) => [c.submolt]),
+    };
+
+    const { styles } = memory.insights.comments;
+    log(`  Comment performance: ${judged.length} judged, avg ${avgScore.toFixed(1)} upvotes+replies${styles.length ? ` | best style: ${styles[0].name} (${styles[0].avg.toFixed(1)})` : ""}`);
   }
-  if (bestSubmolts.length) {
-    ctx += `\nYour best submolts: ${bestSubmolts.slice(0, 3).map((s) => `m/${s.name} (avg ${s.avg.toFixed(1)})`).join(", ")}`;
+
+  // Post learnings plus what we've learned from our own comments
+  function getCommentLearningContext() {
+    let ctx = getLearningContext();
+    const insights = memory.insights.comments;
+    if (!insights) return ctx;
+
+    const line = (c) => `\n- "${c.content.replace(/\s+/g, " ").slice(0, 150)}" got ${c.upvotes} upvotes, ${c.replyCount} replies${c.submolt ? ` in m/${c.submolt}` : ""}`;
+    ctx += "\n\nLEARNING FROM YOUR PAST COMMENTS (scored by upvotes + replies):";
+    if (insights.top.length) ctx += `\nYOUR BEST COMMENTS (emulate this style, don't copy the wording):${insights.top.map(line).join("")}`;
+    if (insights.low.length) ctx += `\nYOUR WEAKEST COMMENTS (avoid this style):${insights.low.map(line).join("")}`;
+    if (insights.styles.length) {
+      ctx += `\nBy style, best first: ${insights.styles.map((g) => `${g.name} avg ${g.avg.toFixed(1)} (${g.count})`).join(", ")}`;
+    }
+    if (insights.submolts.length > 1) {
+      ctx += `\nYour comments do best in: ${insights.submolts.slice(0, 3).map((g) => `m/${g.name} (avg ${g.avg.toFixed(1)})`).join(", ")}`;
+    }
+    return ctx;
+  }
+
+  // A comment on `post` from `vetting` (lib/targeting.js): where promotion
+  // isn't welcome the prompt says so, and a draft that mentions the product
+  // anyway is dropped
+  async function writeComment(post, submolt, comments, vetting) {
+    let learning = getCommentLearningContext();
+    if (!vetting.promote) {
+      learning += `\n\nNO PROMOTION: this author or community doesn't want promotion here. Don't mention ${profile().product.name} or link to it.`;
+    }
+    const comment = await content.generateComment(post, submolt, comments, learning);
+    if (comment && !vetting.promote && mentionsProduct(comment.content)) {
+      log("  [targeting] Draft dropped: it mentions our product where promotion isn't welcome");
+      return null;
+    }
+    return comment;
   }
-  return ctx;
-}
 
-// --- Smart post scoring ---
+  // --- Smart post scoring ---
 
-function scorePostForCommenting(post) {
-  const upvotes = post.upvotes || 0;
-  const commentCount = post.comment_count || post.commentCount || 0;
-  const createdAt = post.created_at ? new Date(post.created_at).getTime() : Date.now();
-  const ageHours = (Date.now() - createdAt) / (1000 * 60 * 60);
-  const submoltName = post.submolt?.name || post.submolt || "general";
+  function scorePostForCommenting(post) {
+    const upvotes = post.upvotes || 0;
+    const commentCount = post.comment_count || post.commentCount || 0;
+    const createdAt = post.created_at ? new Date(post.created_at).getTime() : Date.now();
+    const ageHours = (Date.now() - createdAt) / (1000 * 60 * 60);
+    const submoltName = post.submolt?.name || post.submolt || "general";
 
-  const upvoteScore = Math.min(Math.log(upvotes + 1) / Math.log(51), 1);
-  const recencyScore = Math.max(0, 1 - ageHours / 48);
+    const upvoteScore = Math.min(Math.log(upvotes + 1) / Math.log(51), 1);
+    const recencyScore = Math.max(0, 1 - ageHours / 48);
 
-  let commentScore;
-  if (commentCount < 2) commentScore = 0.3;
-  else if (commentCount <= 15) commentScore = 1 - Math.abs(commentCount - 7) / 15;
-  else commentScore = 0.1;
+    let commentScore;
+    if (commentCount < 2) commentScore = 0.3;
+    else if (commentCount <= 15) commentScore = 1 - Math.abs(commentCount - 7) / 15;
+    else commentScore = 0.1;
 
-  let submoltScore = 0.5;
-  const bestSubmolts = memory.insights.bestSubmolts;
-  if (bestSubmolts.length) {
-    const idx = bestSubmolts.findIndex((s) => s.name === submoltName);
-    if (idx !== -1) submoltScore = 1 - idx / bestSubmolts.length;
+    let submoltScore = 0.5;
+    const bestSubmolts = memory.insights.bestSubmolts;
+    if (bestSubmolts.length) {
+      const idx = bestSubmolts.findIndex((s) => s.name === submoltName);
+      if (idx !== -1) submoltScore = 1 - idx / bestSubmolts.length;
+    }
+
+    return upvoteScore * 0.3 + recencyScore * 0.2 + commentScore * 0.3 + submoltScore * 0.2;
   }
 
-  return upvoteScore * 0.3 + recencyScore * 0.2 + commentScore * 0.3 + submoltScore * 0.2;
-}
+  // --- Growth strategies ---
 
-// --- Growth strategies ---
+  const isOurs = (comment) => comment.author?.name === agentName;
 
-async function replyToCommentsOnOurPosts() {
-  log("--- STRATEGY: Replying to comments on our posts ---");
-  if (!memory.ourPosts.size) {
-    log("  No posts in memory, skipping.");
-    return;
+  async function replyToCommentsOnOurPosts() {
+    log("--- STRATEGY: Replying to comments on our posts ---");
+    if (!memory.ourPosts.size) {
+      log("  No posts in memory, skipping.");
+      return;
+    }
+
+    const { maxPerCycle, maxDepth, maxTurnsPerThread } = profile().moltbook.replies;
+    let repliesSent = 0;
+    let repliesQueued = 0;
+    let atLimit = 0;
+    for (const [postId, postData] of memory.ourPosts) {
+      if (interrupted() || repliesSent + repliesQueued >= maxPerCycle || !underCap("reply")) break;
+      try {
+        const tree = await api.getCommentTree(postId);
+
+        for (const comment of tree.byId.values()) {
+          if (interrupted() || repliesSent + repliesQueued >= maxPerCycle || schedule.remaining("reply") <= 0) break;
+          if (isOurs(comment) || repliedComments.has(comment.id) || injection.isQuarantined("comment", comment.id)) continue;
+          // Answered in-thread already, e.g. before state was persisted
+          if (comment.children.some(isOurs)) {
+            repliedComments.add(comment.id);
+            persist();
+            continue;
+          }
+
+          // Depth and turn limits keep us out of endless back-and-forth
+          const thread = commentAncestry(tree, comment.id).slice(0, -1);
+          const turns = thread.filter(isOurs).length;
+          if (comment.depth + 1 > maxDepth || turns >= maxTurnsPerThread) {
+            atLimit++;
+            continue;
+          }
+
+          const authorName = comment.author?.name || "unknown";
+          if (!relationships.allowed(authorName, { chain: [...thread, comment] })) continue;
+          log(`  Replying to ${authorName} on "${postData.title?.slice(0, 40)}..."${thread.length ? ` (depth ${comment.depth}, our turn ${turns + 1})` : ""}`);
+          const reply = await content.generateReply(postData, comment, thread);
+          if (!reply) { log("    Skipped (reason logged above)"); continue; }
+          log(`    Generated: "${reply.content.slice(0, 80)}..."`);
+
+          const answeredUs = thread.length > 0 && isOurs(thread.at(-1));
+          const outcome = await tryComment(postId, { ...reply, author: authorName, answeredUs }, comment.id, {
+            ...postContext(postData),
+            inReplyTo: { author: authorName, content: comment.content },
+            thread: thread.map((c) => ({ author: c.author?.name || "unknown", content: c.content?.slice(0, 300) })),
+          });
+          if (outcome) {
+            repliedComments.add(comment.id);
+            persist();
+            if (outcome === "queued") repliesQueued++;
+            else repliesSent++;
+          }
+        }
+      } catch (err) {
+        log.error(`  Error replying on post ${postId}: ${err.message}`);
+      }
+    }
+    if (atLimit) log(`  ${atLimit} comments left alone (thread depth or turn limit reached)`);
+    log(`  Sent ${repliesSent} replies this cycle${repliesQueued ? `, queued ${repliesQueued} for review` : ""}`);
   }
 
-  let repliesSent = 0;
-  for (const [postId, postData] of memory.ourPosts) {
-    if (repliesSent >= 5) break;
+  async function commentOnHotPosts() {
+    log("--- STRATEGY: Commenting on hot posts ---");
     try {
-      const cd = await api.getComments(postId);
-      const comments = cd.comments || cd || [];
-
-      for (const comment of comments) {
-        if (repliesSent >= 5) break;
-        const authorName = comment.author?.name || "";
-        if (authorName === config.agentName) continue;
-        if (repliedComments.has(comment.id)) continue;
-
-        log(`  Replying to ${authorName} on "${postData.title?.slice(0, 40)}..."`);
-        const reply = await content.generateReply(postData, comment);
-        if (!reply) { log("    Skipped (blocked by sanitizer)"); continue; }
-        log(`    Generated: "${reply.slice(0, 80)}..."`);
-
-        const ok = await tryComment(postId, reply);
-        if (ok) {
-          repliedComments.add(comment.id);
-          repliesSent++;
-          log("    Reply published!");
+      const data = await api.getHotFeed(25);
+      const posts = data.posts || data;
+      if (!posts?.length) return;
+      sample(posts);
+
+      const fresh = posts.filter((p) => !commentedPosts.has(p.id) && !injection.isQuarantined("post", p.id));
+      fresh.sort((a, b) => scorePostForCommenting(b) - scorePostForCommenting(a));
+
+      let attempted = 0;
+      for (const post of fresh) {
+        if (attempted >= 5 || interrupted() || !underCap("comment")) break;
+        try {
+          const vetting = await targeting.vet(post, api);
+          if (vetting.skip || !relationships.allowed(post.author?.name)) continue;
+          attempted++;
+          log(`  Hot post: "${post.title}" (${post.upvotes} upvotes)`);
+
+          let comments = [];
+          try {
+            const commentData = await api.getComments(post.id);
+            comments = commentData.comments || commentData || [];
+          } catch {}
+
+          log(`  Generating comment...`);
+          const comment = await writeComment(post, post.submolt?.name || post.submolt || "general", comments, vetting);
+          if (!comment) { log("  Skipped (reason logged above)"); continue; }
+          log(`  Generated: "${comment.content.slice(0, 80)}..."`);
+
+          await tryComment(post.id, { ...comment, author: post.author?.name, upvotePost: true }, null, postContext(post));
+        } catch (err) {
+          log.error(`  Error: ${err.message}`);
         }
-        await sleep(60000);
       }
     } catch (err) {
-      log(`  Error replying on post ${postId}: ${err.message}`);
+      log.error(`  Hot feed error: ${err.message}`);
     }
   }
-  log(`  Sent ${repliesSent} replies this cycle`);
-}
 
-async function commentOnHotPosts() {
-  log("--- STRATEGY: Commenting on hot posts ---");
-  try {
-    const data = await api.getHotFeed(25);
-    const posts = data.posts || data;
-    if (!posts?.length) return;
-
-    const fresh = posts.filter((p) => !commentedPosts.has(p.id));
-    fresh.sort((a, b) => scorePostForCommenting(b) - scorePostForCommenting(a));
-
-    const targets = fresh.slice(0, 5);
-    for (const post of targets) {
+  async function commentOnSubmolts() {
+    log("--- STRATEGY: Commenting on target submolts ---");
+    for (const submolt of await submoltsToScan()) {
+      if (interrupted() || !underCap("comment")) break;
+      if (targeting.isBlockedSubmolt(submolt)) {
+        log(`  [targeting] Skipping m/${submolt}: blocked`);
+        continue;
+      }
+      log(`  Scanning m/${submolt}...`);
       try {
-        log(`  Hot post: "${post.title}" (${post.upvotes} upvotes)`);
+        const data = await api.getPosts(submolt, 10);
+        const posts = data.posts || data;
+        if (!posts?.length) continue;
+        sample(posts.map((p) => ({ ...p, submolt: p.submolt || submolt })));
+
+        const fresh = posts.filter((p) => !commentedPosts.has(p.id) && !injection.isQuarantined("post", p.id));
+        if (!fresh.length) {
+          log("    All posts covered, skipping.");
+          continue;
+        }
+
+        fresh.sort((a, b) => scorePostForCommenting(b) - scorePostForCommenting(a));
+        let target = null;
+        let vetting;
+        for (const post of fresh) {
+          vetting = await targeting.vet({ ...post, submolt: post.submolt || submolt }, api);
+          if (!vetting.skip && relationships.allowed(post.author?.name)) {
+            target = post;
+            break;
+          }
+        }
+        if (!target) {
+          log("    Nothing here we should comment on, skipping.");
+          continue;
+        }
 
         let comments = [];
         try {
-          const commentData = await api.getComments(post.id);
+          const commentData = await api.getComments(target.id);
           comments = commentData.comments || commentData || [];
         } catch {}
 
-        log(`  Generating comment...`);
-        const comment = await content.generateComment(
-          post,
-          post.submolt?.name || post.submolt || "general",
-          comments,
-          getLearningContext()
-        );
-        if (!comment) { log("  Skipped (blocked by sanitizer)"); continue; }
-        log(`  Generated: "${comment.slice(0, 80)}..."`);
-
-        const ok = await tryComment(post.id, comment);
-        if (ok) {
-          log("  Published on hot post!");
-          await tryUpvote(post.id);
-        }
+        log(`    Target: "${target.title}" (${target.upvotes || 0} upvotes)`);
+        const comment = await writeComment(target, submolt, comments, vetting);
+        if (!comment) { log("    Skipped (reason logged above)"); continue; }
+        log(`    Generated: "${comment.content.slice(0, 80)}..."`);
 
-        await sleep(60000);
+        await tryComment(target.id, { ...comment, author: target.author?.name, upvotePost: true }, null, postContext(target));
       } catch (err) {
-        log(`  Error: ${err.message}`);
+        log.error(`    Error in ${submolt}: ${err.message}`);
       }
     }
-  } catch (err) {
-    log(`  Hot feed error: ${err.message}`);
   }
-}
 
-async function commentOnSubmolts() {
-  log("--- STRATEGY: Commenting on target submolts ---");
-  for (const submolt of TARGET_SUBMOLTS) {
-    log(`  Scanning m/${submolt}...`);
+  async function networkWithTopAgents() {
+    log("--- STRATEGY: Networking with top agents ---");
     try {
-      const data = await api.getPosts(submolt, 10);
-      const posts = data.posts || data;
-      if (!posts?.length) continue;
-
-      const fresh = posts.filter((p) => !commentedPosts.has(p.id));
-      if (!fresh.length) {
-        log("    All posts covered, skipping.");
-        continue;
+      const lb = await api.getLeaderboard();
+      const topAgents = lb.leaderboard?.slice(0, 30) || [];
+
+      for (const agent of topAgents) {
+        if (followedAgents.has(agent.name)) continue;
+        if (interrupted() || !underCap("follow")) break;
+        if (targeting.isBlockedAgent(agent.name)) {
+          log(`  [targeting] Not following ${agent.name}: blocked`);
+          continue;
+        }
+        try {
+          await api.followAgent(agent.name);
+          schedule.spend("follow");
+          followedAgents.add(agent.name);
+          persist();
+          log(`  Followed ${agent.name} (karma: ${agent.karma})`);
+        } catch (err) {
+          // Rate limits and shutdowns leave the agent for a later run
+          if (err.code === "SHUTTING_DOWN" || err.status === 429) throw err;
+          // Any other refusal (already following, no such agent) is final
+          if (err.status >= 400 && err.status < 500) {
+            followedAgents.add(agent.name);
+            persist();
+          } else {
+            log.warn(`  Follow ${agent.name} failed: ${err.message}`);
+          }
+        }
       }
 
-      fresh.sort((a, b) => scorePostForCommenting(b) - scorePostForCommenting(a));
-      const target = fresh[0];
+      const topNames = topAgents.slice(0, 10).map((a) => a.name).filter((name) => !targeting.isBlockedAgent(name));
+      for (const name of topNames.slice(0, 3)) {
+        if (interrupted() || !underCap("comment")) break;
+        if (!relationships.allowed(name)) continue;
+        try {
+          const results = await api.searchPosts(name, 3);
+          const posts = results.results?.filter((r) => r.type === "post") || [];
+          sample(posts);
+          for (const post of posts.slice(0, 1)) {
+            if (commentedPosts.has(post.id)) continue;
+            const vetting = await targeting.vet(post, api);
+            if (vetting.skip) continue;
+
+            let comments = [];
+            try {
+              const commentData = await api.getComments(post.id);
+              comments = commentData.comments || commentData || [];
+            } catch {}
+
+            log(`  Engaging with ${name}'s post: "${post.title}"`);
+            const comment = await writeComment(post, "general", comments, vetting);
+            if (!comment) { log("    Skipped (reason logged above)"); continue; }
+            await tryComment(post.id, { ...comment, author: post.author?.name || name }, null, postContext(post));
+          }
+        } catch {}
+      }
+    } catch (err) {
+      // Left unfinished, so the resumed cycle follows the rest
+      if (err.code === "SHUTTING_DOWN") interrupted();
+      else if (err.status === 429) log.warn(`  Following paused: ${err.message}`);
+      else log.error(`  Networking error: ${err.message}`);
+    }
+  }
 
-      let comments = [];
+  async function subscribeToSubmolts() {
+    log("--- STRATEGY: Subscribing to submolts ---");
+    for (const submolt of profile().moltbook.subscribeSubmolts) {
+      if (interrupted()) break;
       try {
-        const commentData = await api.getComments(target.id);
-        comments = commentData.comments || commentData || [];
+        await api.subscribeMolt(submolt);
+        log(`  Subscribed to m/${submolt}`);
       } catch {}
+    }
+  }
 
-      log(`    Target: "${target.title}" (${target.upvotes || 0} upvotes)`);
-      const comment = await content.generateComment(target, submolt, comments, getLearningContext());
-      if (!comment) { log("    Skipped (blocked by sanitizer)"); continue; }
-      log(`    Generated: "${comment.slice(0, 80)}..."`);
-
-      const ok = await tryComment(target.id, comment);
-      if (ok) {
-        log("    Published!");
-        await tryUpvote(target.id);
+  async function upvoteGoodContent() {
+    log("--- STRATEGY: Upvoting content ---");
+    try {
+      const data = await api.getHotFeed(20);
+      const posts = data.posts || data;
+      if (!posts?.length) return;
+      sample(posts);
+
+      let upvoted = 0;
+      for (const post of posts) {
+        if (upvotedPosts.has(post.id)) continue;
+        if (interrupted() || !underCap("upvote")) break;
+        if (await tryUpvote(post.id)) upvoted++;
+        if (upvoted >= 10) break;
       }
-
-      await sleep(60000);
+      log(`  Upvoted ${upvoted} posts`);
     } catch (err) {
-      log(`    Error in ${submolt}: ${err.message}`);
+      log.error(`  Upvote error: ${err.message}`);
     }
   }
-}
 
-async function networkWithTopAgents() {
-  log("--- STRATEGY: Networking with top agents ---");
-  try {
-    const lb = await api.getLeaderboard();
-    const topAgents = lb.leaderboard?.slice(0, 30) || [];
+  // --- Submolt ranking ---
 
-    for (const agent of topAgents) {
-      if (followedAgents.has(agent.name)) continue;
-      try {
-        await api.followAgent(agent.name);
-        followedAgents.add(agent.name);
-        log(`  Followed ${agent.name} (karma: ${agent.karma})`);
-        await sleep(60000);
-      } catch {
-        followedAgents.add(agent.name);
+  function seedSubmolts() {
+    const { postSubmolts, targetSubmolts, subscribeSubmolts } = profile().moltbook;
+    return [...new Set([...postSubmolts, ...targetSubmolts, ...subscribeSubmolts])];
+  }
+
+  // Posts we fetched, for discovery
+  function sample(posts) {
+    if (submolts.enabled()) submolts.observe(posts);
+  }
+
+  async function rankedSubmolts(posting = false) {
+    if (submolts.needsRefresh()) await submolts.refresh(api);
+    return submolts.rank({ seeds: seedSubmolts(), bestSubmolts: memory.insights.bestSubmolts, posting });
+  }
+
+  function describe(choice) {
+    return `m/${choice.name} (${choice.why}, score ${choice.score.toFixed(2)})`;
+  }
+
+  // Rankings redrawn after a chosen submolt turns out to turn us away
+  const MAX_SUBMOLT_DRAWS = 3;
+
+  // Whether submolt `name`'s description lets us scan it or, when `posting`,
+  // post there (lib/targeting.js). With discovery on, one that turns us away is
+  // left out of the next rankings.
+  async function welcomes(name, posting) {
+    const verdict = await targeting.vetSubmolt(name, api);
+    const reason = verdict.skip || (posting && !verdict.promote ? verdict.reason : null);
+    if (!reason) return true;
+    if (profile().moltbook.discovery.enabled) submolts.optedOut(name, { noBots: Boolean(verdict.skip), reason });
+    else log(`  [targeting] Skipping m/${name}: ${reason}`);
+    return false;
+  }
+
+  // The best-ranked submolts, or targetSubmolts as configured with discovery off
+  async function submoltsToScan() {
+    const { targetSubmolts, discovery } = profile().moltbook;
+    if (!discovery.enabled) return targetSubmolts;
+    let chosen = [];
+    for (let draw = 1; draw <= MAX_SUBMOLT_DRAWS; draw++) {
+      chosen = submolts.shortlist(await rankedSubmolts(), discovery.scanSubmolts);
+      const welcome = [];
+      for (const choice of chosen) if (await welcomes(choice.name, false)) welcome.push(choice);
+      if (welcome.length === chosen.length || draw === MAX_SUBMOLT_DRAWS) {
+        chosen = welcome;
+        break;
       }
     }
+    log(`  [submolts] Scanning ${chosen.map(describe).join(", ")}`);
+    return chosen.map((s) => s.name);
+  }
 
-    const topNames = topAgents.slice(0, 10).map((a) => a.name);
-    for (const name of topNames.slice(0, 3)) {
-      try {
-        const results = await api.searchPosts(name, 3);
-        const posts = results.results?.filter((r) => r.type === "post") || [];
-        for (const post of posts.slice(0, 1)) {
-          if (commentedPosts.has(post.id)) continue;
+  // A top-ranked submolt, or the next of postSubmolts with discovery off;
+  // null when the ones tried don't want our posts
+  async function choosePostSubmolt() {
+    const { postSubmolts, discovery } = profile().moltbook;
+    const rotation = async () => {
+      const name = postSubmolts[postRotation++ % postSubmolts.length];
+      persist();
+      return (await welcomes(name, true)) ? name : null;
+    };
+    if (!discovery.enabled) return rotation();
+    for (let draw = 1; draw <= MAX_SUBMOLT_DRAWS; draw++) {
+      const choice = submolts.pick(await rankedSubmolts(true), { choices: discovery.postChoices });
+      if (!choice) return rotation();
+      if (await welcomes(choice.name, true)) {
+        log(`  [submolts] Posting in ${describe(choice)}`);
+        return choice.name;
+      }
+    }
+    return null;
+  }
 
-          let comments = [];
-          try {
-            const commentData = await api.getComments(post.id);
-            comments = commentData.comments || commentData || [];
-          } catch {}
+  async function tryCreatePost() {
+    if (!underCap("post")) return;
+    if (needsApproval() && approvals.list("pending").some((d) => d.kind === "post" && ownDraft(d))) {
+      log("--- Skipping post creation (a post draft is waiting for review) ---");
+      return;
+    }
 
-          log(`  Engaging with ${name}'s post: "${post.title}"`);
-          const comment = await content.generateComment(post, "general", comments, getLearningContext());
-          if (!comment) { log("    Skipped (blocked by sanitizer)"); continue; }
-          const ok = await tryComment(post.id, comment);
-          if (ok) log("    Published!");
-          await sleep(60000);
-        }
-      } catch {}
+    const submolt = await choosePostSubmolt();
+    if (!submolt) {
+      log("--- Skipping post creation (no submolt tried wants our posts) ---");
+      return;
     }
-  } catch (err) {
-    log(`  Networking error: ${err.message}`);
-  }
-}
+    log(`--- STRATEGY: Creating viral post for m/${submolt} ---`);
 
-async function subscribeToSubmolts() {
-  log("--- STRATEGY: Subscribing to submolts ---");
-  for (const submolt of SUBSCRIBE_SUBMOLTS) {
     try {
-      await api.subscribeMolt(submolt);
-      log(`  Subscribed to m/${submolt}`);
-    } catch {}
-  }
-}
+      let hotPosts = [];
+      try {
+        const data = await api.getHotFeed(10);
+        hotPosts = data.posts || data || [];
+        sample(hotPosts);
+      } catch {}
 
-async function upvoteGoodContent() {
-  log("--- STRATEGY: Upvoting content ---");
-  try {
-    const data = await api.getHotFeed(20);
-    const posts = data.posts || data;
-    if (!posts?.length) return;
-
-    let upvoted = 0;
-    for (const post of posts) {
-      if (upvotedPosts.has(post.id)) continue;
-      await tryUpvote(post.id);
-      upvoted++;
-      if (upvoted >= 10) break;
-      await sleep(60000);
-    }
-    log(`  Upvoted ${upvoted} posts`);
-  } catch (err) {
-    log(`  Upvote error: ${err.message}`);
+      const generated = await content.generateViralPost(submolt, hotPosts, getLearningContext());
+      if (!generated) return;
+
+      log(`  Title: "${generated.title}"`);
+      if (needsApproval()) {
+        approvals.enqueue({
+          kind: "post",
+          persona: agentName,
+          strategy: currentContext().strategy,
+          target: { submolt },
+          title: generated.title,
+          content: generated.content,
+          variant: generated.variant,
+          context: { hotPosts: hotPosts.slice(0, 5).map((p) => p.title), learning: getLearningContext().trim() || null },
+        });
+        return;
+      }
+      await publishPost(submolt, generated.title, generated.content, generated.variant);
+    } catch (err) {
+      if (err.status === 429) {
+        log.warn(`  Rate limited, will retry next cycle.`);
+      } else {
+        log.error(`  Post failed: ${err.message}`);
+      }
+    }
   }
-}
 
-async function tryCreatePost(cycleCount) {
-  const now = Date.now();
-  if (now - lastPostTime < 35 * 60 * 1000) {
-    log("--- Skipping post creation (rate limit cooldown) ---");
-    return;
+  async function publishPost(submolt, title, body, variant = null) {
+    checkCap("post");
+    const post = await api.createPost(submolt, title, body);
+    schedule.spend("post");
+    const item = { type: "post", postId: post?.post?.id, submolt, title, content: body, variant };
+    const verified = await verify(item, post);
+    return recordPost({ ...item, postId: verified?.post?.id || item.postId });
   }
 
-  const submolt = POST_SUBMOLTS[cycleCount % POST_SUBMOLTS.length];
-  log(`--- STRATEGY: Creating viral post for m/${submolt} ---`);
+  function recordPost({ postId, submolt, title, content, variant }) {
+    recordPublished({ type: "post", postId, submolt, title, content, variant });
+    log("  Post published!", { postId });
 
-  try {
-    let hotPosts = [];
-    try {
-      const data = await api.getHotFeed(10);
-      hotPosts = data.posts || data || [];
-    } catch {}
-
-    const generated = await content.generateViralPost(submolt, hotPosts, getLearningContext());
-    if (!generated) return;
-
-    log(`  Title: "${generated.title}"`);
-    const post = await api.createPost(submolt, generated.title, generated.content);
-    const verified = await api.autoVerify(post);
-    lastPostTime = Date.now();
-    log("  Post published!");
-
-    const newPostId = verified?.post?.id || post?.post?.id;
-    if (newPostId) {
-      memory.ourPosts.set(newPostId, {
-        id: newPostId,
-        title: generated.title,
+    if (postId) {
+      const tracked = {
+        id: postId,
+        title,
         submolt,
         upvotes: 0,
         commentCount: 0,
         createdAt: new Date().toISOString(),
-      });
-      log(`  Tracked new post in memory (id: ${newPostId})`);
+        variant,
+      };
+      memory.ourPosts.set(postId, tracked);
+      analytics.recordPost(tracked);
+      log(`  Tracked new post in memory (id: ${postId})`, { postId });
     }
-  } catch (err) {
-    if (err.status === 429) {
-      log(`  Rate limited, will retry next cycle.`);
-    } else {
-      log(`  Post failed: ${err.message}`);
-      lastPostTime = Date.now();
+    persist();
+    return postId;
+  }
+
+  // --- Approval queue ---
+
+  function needsApproval() {
+    return approvals.requiresApproval(currentContext().strategy);
+  }
+
+  // The queue is shared; drafts queued before personas existed are the primary's
+  function ownDraft(draft) {
+    return (draft.persona ?? personas.primary().agentName) === agentName;
+  }
+
+  // What a reviewer sees about the post a draft comment is for
+  function postContext(post) {
+    return {
+      postTitle: post.title,
+      postAuthor: post.author?.name,
+      submolt: post.submolt?.name || post.submolt,
+      postExcerpt: post.content?.slice(0, 500),
+    };
+  }
+
+  // Reviewed drafts go out before the strategies write new ones
+  async function publishApproved() {
+    try {
+      approvals.expire();
+      const ready = approvals.list("approved").filter(ownDraft);
+      if (!ready.length) return;
+      log(`--- Publishing ${ready.length} approved draft(s) ---`);
+      for (const draft of ready) {
+        if (stopping()) break;
+        const { postId, parentId, submolt } = draft.target;
+        await withContext({ draftId: draft.id, ...(postId && { postId }) }, async () => {
+          try {
+            const variant = draft.variant || null;
+            const published = draft.kind === "post"
+              ? { postId: await publishPost(submolt, draft.title, draft.content, variant) }
+              : await postComment(postId, { content: draft.content, variant, submolt, author: draft.target.author, answeredUs: draft.target.answeredUs }, parentId);
+            approvals.markPublished(draft.id, published);
+            if (draft.target.upvotePost) await tryUpvote(postId);
+          } catch (err) {
+            if (err.status === 429) {
+              log.warn(`  Rate limited, draft ${draft.id} stays approved for next cycle`);
+              return;
+            }
+            // Left approved, or finished with its verification on the next start
+            if (err.code === "SHUTTING_DOWN") return;
+            log.error(`  Approved draft ${draft.id} failed: ${err.message}`);
+            approvals.markFailed(draft.id, err.message);
+          }
+        });
+      }
+    } catch (err) {
+      log.error(`  Approval queue error: ${err.message}`);
     }
   }
-}
 
-// --- Helpers ---
+  // --- Helpers ---
 
-async function tryComment(postId, comment) {
-  try {
-    const result = await api.commentOnPost(postId, comment);
-    await api.autoVerify(result);
-    commentedPosts.add(postId);
-    return true;
-  } catch (err) {
-    log(`  Comment failed: ${err.message}`);
+  // Whether a shutdown has asked the running strategy to stop; one that stops
+  // early is left unfinished so the resumed cycle runs it again
+  let cutShort = false;
+
+  function interrupted() {
+    if (stopping()) cutShort = true;
+    return cutShort;
+  }
+
+  // Daily caps (config.schedule.dailyCaps) are checked before drafting, so a
+  // spent cap costs no LLM calls
+  function underCap(action) {
+    if (schedule.remaining(action) > 0) return true;
+    log(`  Daily ${action} cap reached (${config.schedule.dailyCaps[action]}), skipping`);
     return false;
   }
-}
 
-async function tryUpvote(postId) {
-  if (upvotedPosts.has(postId)) return;
-  try {
-    await api.upvotePost(postId);
-    upvotedPosts.add(postId);
-  } catch {}
-}
+  // Backstop at publish time, e.g. for approved drafts; a 429 leaves them queued
+  function checkCap(action) {
+    if (schedule.remaining(action) > 0) return;
+    const err = new Error(`Daily ${action} cap reached`);
+    err.status = 429;
+    throw err;
+  }
 
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
+  // Per-author limits at publish time, like checkCap(); a 429 leaves approved drafts queued
+  function checkRelationship(author) {
+    const reason = relationships.check(author);
+    if (!reason) return;
+    const err = new Error(`Not interacting with ${author}: ${reason}`);
+    err.status = 429;
+    throw err;
+  }
+
+  // Publishes `draft` ({ content, variant } from lib/content.js, plus the
+  // `author` it answers, whether theirs `answeredUs` and whether to
+  // `upvotePost` once it is out), or queues it when the running strategy needs
+  // approval. `context` is what the draft was written from, shown to the
+  // reviewer. Returns "published", "queued" or null when publishing failed; a
+  // queued draft's upvote waits for its approval.
+  function tryComment(postId, draft, parentId = null, context = {}) {
+    return withContext({ postId, ...(parentId && { parentId }) }, () => {
+      if (!needsApproval()) return publishComment(postId, { ...draft, submolt: context.submolt }, parentId);
+      approvals.enqueue({
+        kind: parentId ? "reply" : "comment",
+        persona: agentName,
+        strategy: currentContext().strategy,
+        target: {
+          postId,
+          ...(parentId && { parentId }),
+          postTitle: context.postTitle,
+          submolt: context.submolt,
+          author: draft.author,
+          answeredUs: draft.answeredUs,
+          ...(draft.upvotePost && { upvotePost: true }),
+        },
+        content: draft.content,
+        variant: draft.variant,
+        context,
+      });
+      commentedPosts.add(postId);
+      persist();
+      return "queued";
+    });
+  }
 
-// --- Exported interface ---
+  async function publishComment(postId, draft, parentId) {
+    try {
+      await postComment(postId, draft, parentId);
+    } catch (err) {
+      log.error(`  Comment failed: ${err.message}`);
+      return null;
+    }
+    if (draft.upvotePost) await tryUpvote(postId);
+    return "published";
+  }
+
+  // `draft` is { content, variant, submolt, author, answeredUs }
+  async function postComment(postId, { content, variant = null, submolt = null, author = null, answeredUs = false }, parentId) {
+    const action = parentId ? "reply" : "comment";
+    checkCap(action);
+    checkRelationship(author);
+    const result = parentId
+      ? await api.replyToComment(postId, parentId, content)
+      : await api.commentOnPost(postId, content);
+    schedule.spend(action);
+    const item = { type: action, postId, ...(parentId && { parentId }), commentId: result?.comment?.id || null, submolt, content, variant, author, answeredUs };
+    const verified = await verify(item, result);
+    return recordComment({ ...item, commentId: verified?.comment?.id || item.commentId });
+  }
 
-export async function init(cycleCount) {
-  if (cycleCount === 0) {
+  function recordComment({ type, postId, parentId = null, commentId, submolt, content, variant, author = null, answeredUs = false }) {
+    commentedPosts.add(postId);
+    relationships.record(author, { kind: type, postId, answeredUs });
+    recordPublished({ type, postId, ...(parentId && { parentId }), content, variant });
+    if (commentId) trackComment({ id: commentId, postId, parentId, submolt, variant, content, mentionsProduct: mentionsProduct(content) });
+    persist();
+    log(`  ${parentId ? "Reply" : "Comment"} published!`, { commentId });
+    return { commentId };
+  }
+
+  // --- Verification checkpoints ---
+  //
+  // Between publishing and answering its verification challenge, an item is
+  // saved with the challenge, so a crash or a shutdown that times out in
+  // between is verified and recorded on the next start instead of being left
+  // unverified, untracked and (for approved drafts) published twice.
+
+  async function verify(item, response) {
+    if (!response?.verification_required) return response;
+    const { code } = response.verification;
+    pendingVerifications.set(code, { item, verification: response.verification, draftId: currentContext().draftId || null });
+    persist();
+    try {
+      const verified = await api.autoVerify(response);
+      pendingVerifications.delete(code);
+      return verified;
+    } catch (err) {
+      // An answer a shutdown kept from going out is sent on the next start
+      if (err.code !== "SHUTTING_DOWN") pendingVerifications.delete(code);
+      throw err;
+    } finally {
+      persist();
+    }
+  }
+
+  async function finishPendingVerifications() {
+    if (!pendingVerifications.size) return;
+    log(`--- Finishing ${pendingVerifications.size} interrupted verification(s) ---`);
+    for (const [code, { item, verification, draftId }] of pendingVerifications) {
+      await withContext({ postId: item.postId, ...(draftId && { draftId }) }, async () => {
+        const expiresAt = Date.parse(verification.expires_at);
+        if (expiresAt <= Date.now()) {
+          log.warn(`  Verification for our ${item.type} expired at ${verification.expires_at}; it stays unverified`);
+        } else {
+          try {
+            await api.autoVerify({ verification_required: true, verification });
+          } catch (err) {
+            log.error(`  Verification for our ${item.type} failed: ${err.message}`);
+          }
+        }
+        pendingVerifications.delete(code);
+        // Published either way, so it's recorded and never published again
+        const published = item.type === "post" ? { postId: recordPost(item) } : recordComment(item);
+        if (draftId) approvals.markPublished(draftId, published);
+      });
+    }
+  }
+
+  const MAX_TRACKED_COMMENTS = 200;
+
+  function mentionsProduct(text) {
+    const lower = text.toLowerCase();
+    const { product } = profile();
+    const host = URL.canParse(product.url) ? new URL(product.url).hostname : null;
+    return lower.includes(product.name.toLowerCase()) || Boolean(host && lower.includes(host));
+  }
+
+  function trackComment(comment) {
+    const tracked = { ...comment, upvotes: 0, replyCount: 0, createdAt: new Date().toISOString() };
+    memory.ourComments.set(comment.id, tracked);
+    for (const id of [...memory.ourComments.keys()].slice(0, -MAX_TRACKED_COMMENTS)) memory.ourComments.delete(id);
+    analytics.recordComment(tracked);
+  }
+
+  // True if the upvote went through
+  async function tryUpvote(postId) {
+    if (upvotedPosts.has(postId) || schedule.remaining("upvote") <= 0) return false;
+    try {
+      await api.upvotePost(postId);
+      schedule.spend("upvote");
+      upvotedPosts.add(postId);
+      persist();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // --- Exported interface ---
+
+  // Runs once per instance: at startup, or when a config reload adds the persona
+  async function init() {
+    if (store) return;
+    store = await openStore(profile().state);
+    restore(store.get(STATE_NAMESPACE));
+    await analytics.load();
+    await quality.load();
+    await schedule.load();
+    await relationships.load();
+    await submolts.load();
+    await finishPendingVerifications();
     await subscribeToSubmolts();
   }
-}
 
-export async function run(strategies, cycleCount) {
-  const me = await api.getMe();
-  const agent = me.agent || me;
-  log(`Agent: ${agent.name} | Karma: ${agent.karma} | Posts: ${agent.stats?.posts} | Comments: ${agent.stats?.comments}\n`);
+  // Runs one strategy, recording when it ran and whether it threw, and tells
+  // `onFinished` unless a shutdown cut it short. Nothing new starts once a
+  // shutdown is under way.
+  async function runStrategy(name, fn, onFinished) {
+    if (stopping()) return;
+    const startedAt = Date.now();
+    cutShort = false;
+    let error = null;
+    try {
+      await withContext({ strategy: name }, fn);
+    } catch (err) {
+      error = err.message;
+      log.error(`  Strategy ${name} failed: ${err.message}`);
+    }
+    lastRuns[name] = { at: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, error };
+    persist();
+    if (!cutShort) onFinished(name);
+  }
+
+  async function fetchAgent() {
+    const me = await api.getMe();
+    const agent = me.agent || me;
+    lastAgent = { name: agent.name, karma: agent.karma, stats: agent.stats, fetchedAt: new Date().toISOString() };
+    return agent;
+  }
 
-  if (strategies.bootstrapMemory && (memory.ourPosts.size === 0 || cycleCount - memory.lastBootstrap >= 2)) {
-    await bootstrapMemory(cycleCount);
+  // `onFinished(name)` is called as each strategy completes, so bot.js can
+  // checkpoint the cycle
+  async function run(strategies, onFinished = () => {}) {
+    const agent = await fetchAgent();
+    analytics.recordKarma(agent);
+    log(`Agent: ${agent.name} | Karma: ${agent.karma} | Posts: ${agent.stats?.posts} | Comments: ${agent.stats?.comments}\n`);
+
+    if (strategies.bootstrapMemory) {
+      bootstrapTurns++;
+      if (memory.ourPosts.size === 0 || bootstrapTurns - memory.lastBootstrap >= 2) {
+        await runStrategy("bootstrapMemory", bootstrapMemory, onFinished);
+      } else {
+        onFinished("bootstrapMemory");
+      }
+    }
+    await publishApproved();
+    if (strategies.replyToComments) await runStrategy("replyToComments", replyToCommentsOnOurPosts, onFinished);
+    if (strategies.networkWithTopAgents) await runStrategy("networkWithTopAgents", networkWithTopAgents, onFinished);
+    if (strategies.upvoteGoodContent) await runStrategy("upvoteGoodContent", upvoteGoodContent, onFinished);
+    if (strategies.createViralPost) await runStrategy("createViralPost", tryCreatePost, onFinished);
+    if (strategies.commentOnHotPosts) await runStrategy("commentOnHotPosts", commentOnHotPosts, onFinished);
+    if (strategies.commentOnSubmolts) await runStrategy("commentOnSubmolts", commentOnSubmolts, onFinished);
   }
-  if (strategies.replyToComments) await replyToCommentsOnOurPosts();
-  if (strategies.networkWithTopAgents) await networkWithTopAgents();
-  if (strategies.upvoteGoodContent) await upvoteGoodContent();
-  if (strategies.createViralPost) await tryCreatePost(cycleCount);
-  if (strategies.commentOnHotPosts) await commentOnHotPosts();
-  if (strategies.commentOnSubmolts) await commentOnSubmolts();
+
+  const AGENT_MAX_AGE_MS = 5 * 60 * 1000;
+
+  // Karma is refetched when the last cycle's copy is stale; a failed fetch keeps the stale one
+  async function status() {
+    if (!lastAgent || Date.now() - Date.parse(lastAgent.fetchedAt) > AGENT_MAX_AGE_MS) {
+      try { await fetchAgent(); } catch {}
+    }
+    return {
+      agent: lastAgent,
+      lastRuns,
+      insights: memory.insights,
+      trackedPosts: memory.ourPosts.size,
+      trackedComments: memory.ourComments.size,
+      submolts: submolts.report(submolts.rank({ seeds: seedSubmolts(), bestSubmolts: memory.insights.bestSubmolts })),
+    };
+  }
+
+  function recent() {
+    return recentContent;
+  }
+
+  return { init, run, status, recent };
 }
@@ -0,0 +1,64 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startAdminServer } from "../lib/admin.js";
+
+let admin;
+const paused = [];
+
+before(async () => {
+  admin = await startAdminServer({
+    host: "127.0.0.1",
+    port: 0,
+    token: "secret",
+    tokenEnv: "ADMIN_TOKEN",
+    log: () => {},
+    handlers: {
+      health: () => ({ ok: true }),
+      status: () => ({ spend: 1.5 }),
+      content: (limit) => ({ limit }),
+      pause: (name) => paused.push(name),
+      resume: () => { throw new Error("boom"); },
+      triggerCycle: () => ({ started: true }),
+    },
+  });
+});
+
+after(() => admin.close());
+
+const call = (method, path, token) =>
+  fetch(`${admin.url}${path}`, { method, headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+test("/health is open", async () => {
+  assert.equal((await call("GET", "/health")).status, 200);
+});
+
+test("/status needs the token", async () => {
+  assert.equal((await call("GET", "/status")).status, 401);
+  assert.equal((await call("GET", "/status", "wrong")).status, 401);
+  const res = await call("GET", "/status", "secret");
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { spend: 1.5 });
+});
+
+test("a malformed strategy name is refused, before and after auth", async () => {
+  assert.equal((await call("POST", "/strategies/%E0%A4%A/pause")).status, 401);
+  assert.equal((await call("POST", "/strategies/%E0%A4%A/pause", "secret")).status, 400);
+  assert.equal((await call("GET", "/health")).status, 200);
+});
+
+test("path segments are decoded for the handler", async () => {
+  assert.equal((await call("POST", "/strategies/comment%4FnHotPosts/pause", "secret")).status, 200);
+  assert.deepEqual(paused, ["commentOnHotPosts"]);
+});
+
+test("a failing handler is a 500 without its message, and the server stays up", async () => {
+  const res = await call("POST", "/strategies/keepAlive/resume", "secret");
+  assert.equal(res.status, 500);
+  assert.deepEqual(await res.json(), { error: "Internal error" });
+  assert.equal((await call("GET", "/health")).status, 200);
+});
+
+test("unknown routes are a 404", async () => {
+  assert.equal((await call("GET", "/nope")).status, 404);
+});
@@ -0,0 +1,76 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+import * as analytics from "../lib/analytics.js";
+
+let data;
+
+before(async () => {
+  data = await analytics.load();
+});
+
+test("karma samples are recorded and capped at the most recent 1000", () => {
+  for (let karma = 1; karma <= 1005; karma++) analytics.recordKarma({ karma, stats: { posts: 2, comments: 9 } });
+  assert.equal(data.karma.length, 1000);
+  assert.equal(data.karma[0].karma, 6);
+  assert.deepEqual({ ...data.karma.at(-1), at: undefined }, { at: undefined, karma: 1005, posts: 2, comments: 9 });
+});
+
+test("each post keeps its samples and the details it was first tracked with", () => {
+  analytics.recordPost({ id: "p-1", title: "Rate limits", submolt: "agents", upvotes: 1, commentCount: 0, createdAt: "2026-10-18T09:30:00.000Z", variant: "post-v2" });
+  analytics.recordPost({ id: "p-1", title: "Rate limits", submolt: "agents", upvotes: 5, commentCount: 2 });
+  const post = data.posts["p-1"];
+  assert.equal(post.createdAt, "2026-10-18T09:30:00.000Z");
+  assert.equal(post.variant, "post-v2");
+  assert.deepEqual(post.samples.map(({ upvotes, comments }) => ({ upvotes, comments })), [{ upvotes: 1, comments: 0 }, { upvotes: 5, comments: 2 }]);
+
+  analytics.recordComment({ id: "c-1", postId: "p-9", parentId: "c-0", upvotes: 3, replyCount: 1, variant: "reply-v1" });
+  assert.deepEqual(data.comments["c-1"].samples.map(({ upvotes, replies }) => ({ upvotes, replies })), [{ upvotes: 3, replies: 1 }]);
+});
+
+// Hand-made history, so the summaries don't depend on the clock
+const sample = (at, upvotes, comments) => ({ at, upvotes, comments });
+const HISTORY = {
+  karma: [
+    { at: "2026-10-16T08:00:00.000Z", karma: 10, posts: 1, comments: 4 },
+    { at: "2026-10-16T20:00:00.000Z", karma: 14, posts: 1, comments: 6 },
+    { at: "2026-10-17T20:00:00.000Z", karma: 20, posts: 2, comments: 8 },
+  ],
+  posts: {
+    a: { id: "a", submolt: "agents", createdAt: "2026-10-16T09:10:00.000Z", variant: "v1", samples: [sample("2026-10-16T09:10:00.000Z", 0, 0), sample("2026-10-16T12:10:00.000Z", 6, 2)] },
+    b: { id: "b", submolt: "agents", createdAt: "2026-10-17T09:40:00.000Z", variant: "v2", samples: [sample("2026-10-17T10:40:00.000Z", 2, 0)] },
+    c: { id: "c", submolt: "general", createdAt: "2026-10-17T18:00:00.000Z", samples: [sample("2026-10-17T19:00:00.000Z", 1, 1)] },
+  },
+  comments: {
+    x: { id: "x", parentId: "y", variant: "v1", samples: [{ at: "2026-10-17T19:00:00.000Z", upvotes: 4, replies: 2 }] },
+  },
+};
+
+test("karma is summarized per day with the change from the day before", () => {
+  assert.deepEqual(analytics.dailyGrowth(HISTORY), [
+    { day: "2026-10-16", karma: 14, change: null, posts: 1, comments: 6 },
+    { day: "2026-10-17", karma: 20, change: 6, posts: 2, comments: 8 },
+  ]);
+});
+
+test("posts are averaged per submolt and per hour of publication", () => {
+  assert.deepEqual(analytics.bySubmolt(HISTORY).map(({ submolt, posts, avgUpvotes }) => [submolt, posts, avgUpvotes]), [["agents", 2, 4], ["general", 1, 1]]);
+  assert.deepEqual(analytics.byHourOfDay(HISTORY).map(({ hour, posts, totalUpvotes }) => [hour, posts, totalUpvotes]), [[9, 2, 8], [18, 1, 1]]);
+});
+
+test("post curves count hours from publication, best post first", () => {
+  const [best] = analytics.postCurves(HISTORY);
+  assert.equal(best.id, "a");
+  assert.deepEqual(best.curve, [{ hours: 0, upvotes: 0, comments: 0 }, { hours: 3, upvotes: 6, comments: 2 }]);
+});
+
+test("variants are compared on what their posts and replies received", () => {
+  assert.deepEqual(analytics.byVariant(HISTORY).map(({ variant, items, totalUpvotes, avgResponses }) => [variant, items, totalUpvotes, avgResponses]), [["v1", 2, 10, 2], ["v2", 1, 2, 0]]);
+});
+
+test("filterSince() keeps only samples from the given time on", () => {
+  const recent = analytics.filterSince(HISTORY, "2026-10-17T00:00:00.000Z");
+  assert.equal(recent.karma.length, 1);
+  assert.deepEqual(Object.keys(recent.posts), ["b", "c"]);
+  assert.deepEqual(Object.keys(recent.comments), ["x"]);
+});
@@ -0,0 +1,97 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import config from "../config.js";
+import { commentAncestry, commentTree, createClient, setBaseUrl } from "../lib/api.js";
+import { mockKey, startMockServer } from "../mock/moltbook.js";
+
+let mock;
+
+before(async () => {
+  mock = await startMockServer({ agentName: "ApiTester" });
+  setBaseUrl(mock.apiBase);
+});
+
+after(() => mock.close());
+
+// Each test gets its own rate limit scope, so budgets don't carry over
+const client = (scope) => createClient({ apiKey: mockKey("ApiTester"), scope });
+
+test("a 429 blocks the bucket for its Retry-After, then the request goes through", async () => {
+  mock.fail("POST", "/posts", 429, { headers: { "Retry-After": "1" } });
+  const started = Date.now();
+  await client("retry-after").createPost("general", "Hello", "World");
+  assert.ok(Date.now() - started >= 1000);
+  assert.equal(mock.published.filter((p) => p.type === "post").length, 1);
+});
+
+test("a 5xx is retried for a GET", async () => {
+  mock.fail("GET", "/agents/me", 503);
+  const me = await client("get-5xx").getMe();
+  assert.equal(me.agent.name, "ApiTester");
+});
+
+test("a 5xx is not retried for a POST, which may already have been applied", async () => {
+  mock.fail("POST", "/posts/p-1001/comments", 502);
+  await assert.rejects(client("post-5xx").commentOnPost("p-1001", "Nice"), { status: 502 });
+  assert.equal(mock.published.filter((p) => p.type === "comment").length, 0);
+});
+
+test("a wait longer than maxQueueMinutes is refused with a 429 without sending", async () => {
+  config.rateLimits = { post: { perDay: 1 }, maxQueueMinutes: 1 };
+  const api = client("overflow");
+  const before = mock.published.length;
+  await api.createPost("general", "First", "Goes through");
+  await assert.rejects(api.createPost("general", "Second", "Over budget"), (err) => {
+    assert.equal(err.status, 429);
+    assert.ok(err.retryAfter > 60);
+    return true;
+  });
+  assert.equal(mock.published.length, before + 1);
+  config.rateLimits = {};
+});
+
+// A post's thread: two top-level comments, one answered two levels deep
+const NESTED = {
+  comments: [
+    { id: "a", content: "top", replies: [{ id: "b", content: "reply", replies: [{ id: "c", content: "reply to reply", replies: [] }] }] },
+    { id: "d", content: "another top", replies: [] },
+  ],
+};
+const FLAT = [
+  { id: "c", parent_id: "b", content: "reply to reply" },
+  { id: "a", parent_id: null, content: "top" },
+  { id: "d", content: "another top" },
+  { id: "b", parent_id: "a", content: "reply" },
+];
+
+test("commentTree() links nested and flat comments the same way", () => {
+  for (const data of [NESTED, FLAT]) {
+    const tree = commentTree(data);
+    assert.deepEqual(tree.roots.map((c) => c.id).sort(), ["a", "d"]);
+    assert.deepEqual([...tree.byId.keys()].sort(), ["a", "b", "c", "d"]);
+    assert.deepEqual(["a", "b", "c", "d"].map((id) => tree.byId.get(id).depth), [1, 2, 3, 1]);
+    assert.equal(tree.byId.get("c").parentId, "b");
+    assert.deepEqual(tree.byId.get("a").children.map((c) => c.id), ["b"]);
+    assert.equal(tree.byId.get("a").replies, undefined);
+  }
+});
+
+test("commentAncestry() runs from the top-level comment down to the one asked for", () => {
+  const tree = commentTree(NESTED);
+  assert.deepEqual(commentAncestry(tree, "c").map((c) => c.id), ["a", "b", "c"]);
+  assert.deepEqual(commentAncestry(tree, "d").map((c) => c.id), ["d"]);
+  assert.deepEqual(commentAncestry(tree, "missing"), []);
+});
+
+test("commentAncestry() stops 50 comments up, even on a parent loop", () => {
+  const deep = Array.from({ length: 60 }, (_, i) => ({ id: `c${i}`, parent_id: i ? `c${i - 1}` : null }));
+  const chain = commentAncestry(commentTree(deep), "c59");
+  assert.equal(chain.length, 50);
+  assert.equal(chain[0].id, "c10");
+  assert.equal(chain.at(-1).id, "c59");
+
+  const loop = commentTree([{ id: "x", parent_id: "y" }, { id: "y", parent_id: "x" }]);
+  assert.deepEqual(loop.roots, []);
+  assert.equal(commentAncestry(loop, "x").length, 50);
+});
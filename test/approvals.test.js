@@ -0,0 +1,51 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { spawn } from "node:child_process";
+import { test } from "node:test";
+import config from "../config.js";
+import * as approvals from "../lib/approvals.js";
+
+const draft = (content) => ({ kind: "comment", persona: config.agentName, strategy: "commentOnHotPosts", target: { postId: "p-1" }, content });
+
+test("drafts go pending -> approved -> published, on disk", () => {
+  const { id } = approvals.enqueue(draft("first"));
+  assert.equal(approvals.get(id).status, "pending");
+  approvals.edit(id, { content: "first, edited" });
+  approvals.approve(id);
+  approvals.markPublished(id, { commentId: "c-9" });
+  const saved = JSON.parse(fs.readFileSync(config.approval.queuePath, "utf8")).drafts.find((d) => d.id === id);
+  assert.equal(saved.status, "published");
+  assert.equal(saved.content, "first, edited");
+  assert.equal(saved.original.content, "first");
+  assert.throws(() => approvals.reject(id), /not pending/);
+});
+
+test("changes are made under a lock file, released afterwards", () => {
+  approvals.enqueue(draft("second"));
+  assert.equal(fs.existsSync(`${config.approval.queuePath}.lock`), false);
+});
+
+test("a lock left behind by a dead process is taken over", () => {
+  const lock = `${config.approval.queuePath}.lock`;
+  fs.writeFileSync(lock, "");
+  const old = new Date(Date.now() - 60_000);
+  fs.utimesSync(lock, old, old);
+  const { id } = approvals.enqueue(draft("third"));
+  assert.equal(approvals.get(id).status, "pending");
+  assert.equal(fs.existsSync(lock), false);
+});
+
+test("two processes queueing at once lose nothing", async () => {
+  const before = approvals.list().length;
+  const script = `
+    import * as approvals from "./lib/approvals.js";
+    for (let i = 0; i < 25; i++) approvals.enqueue({ kind: "comment", persona: "x", target: { postId: "p" }, content: String(i) });
+  `;
+  const run = () => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["--input-type=module", "-e", script], { cwd: new URL("..", import.meta.url), stdio: "ignore" });
+    child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`exit ${code}`))));
+  });
+  await Promise.all([run(), run()]);
+  assert.equal(approvals.list().length, before + 50);
+});
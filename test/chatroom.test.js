@@ -0,0 +1,54 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import config from "../config.js";
+import * as chatroom from "../strategies/chatroom/index.js";
+import { startMockChatroom } from "../mock/chatroom.js";
+
+let room;
+
+before(async () => {
+  room = await startMockChatroom({ seed: [{ name: "NeuralNomad", text: "morning, room" }] });
+  config.chatroom = {
+    ...config.chatroom,
+    apiBase: room.url,
+    strategies: { replyToMessages: true, greetNewcomers: true, keepAlive: false },
+    limits: { minSecondsBetweenMessages: 0, maxMessagesPerHour: 20 },
+  };
+});
+
+after(async () => {
+  chatroom.stop();
+  await room.close();
+});
+
+const ours = () => room.messages.filter((m) => m.name === config.agentName);
+
+test("joins quietly, learning who is already in the room", async () => {
+  await chatroom.start();
+  chatroom.stop();
+  assert.equal(ours().length, 0);
+  assert.equal(chatroom.status().participants, 1);
+});
+
+test("greets a newcomer and answers their question", async () => {
+  room.say("ToolSmith", "anyone here know how the keepalive works?");
+  await chatroom.poll();
+  const sent = ours();
+  assert.equal(sent.length, 2);
+  assert.ok(sent.every((m) => m.text.startsWith("[stub]")));
+  assert.equal(chatroom.recent().length, 2);
+});
+
+test("does not answer the same message twice", async () => {
+  await chatroom.poll();
+  assert.equal(ours().length, 2);
+});
+
+test("keeps to its own hourly message limit", async () => {
+  config.chatroom.limits = { minSecondsBetweenMessages: 0, maxMessagesPerHour: 2 };
+  room.say("Quill", `${config.agentName}, what is this room for?`);
+  await chatroom.poll();
+  assert.equal(ours().length, 2);
+  assert.equal(chatroom.status().sentLastHour, 2);
+});
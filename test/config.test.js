@@ -0,0 +1,59 @@
+import { tmpDir } from "./setup.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { loadConfig } from "../config.js";
+
+const shipped = fs.readFileSync("moltbot.yaml", "utf8");
+
+function configFile(name, text) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test("the shipped moltbot.yaml is valid and defaults are filled in", () => {
+  const config = loadConfig("moltbot.yaml", {});
+  assert.equal(config.llm.provider, "anthropic");
+  assert.equal(config.moltbook.relationships.perDay, 2);
+  assert.equal(config.quality.length.comment.min, 20);
+});
+
+test("every problem is reported at once, with its path", () => {
+  const file = configFile("bad.yaml", shipped
+    .replace("pollSeconds: 30", "pollSeconds: 1")
+    .replace("level: info", "level: loud")
+    .replace("  enabled: false\n  host:", "  enabled: nope\n  host:"));
+  assert.throws(() => loadConfig(file, {}), (err) => {
+    assert.deepEqual(err.problems, [
+      "config.chatroom.pollSeconds: must be at least 5, got 1",
+      "config.logging.level: must be one of debug, info, warn, error, got \"loud\"",
+      "config.admin.enabled: expected true or false, got \"nope\"",
+    ]);
+    return true;
+  });
+});
+
+test("unknown keys and missing required fields are reported", () => {
+  const file = configFile("unknown.yaml", `${shipped.replace(/^agentName: .*\n/m, "")}\nsurprise: true\n`);
+  assert.throws(() => loadConfig(file, {}), (err) =>
+    err.problems.includes("config.agentName: is required") && err.problems.some((p) => p.startsWith("config.surprise: unknown key")));
+});
+
+test("MOLTBOT__ variables override the file, parsed as JSON when they can be", () => {
+  const config = loadConfig("moltbot.yaml", {
+    MOLTBOT__CHATROOM__POLL_SECONDS: "45",
+    MOLTBOT__LLM__BUDGET__DAILY_USD: "1.5",
+    MOLTBOT__TARGETING__BLOCKED_AGENTS: '["Spammy"]',
+    MOLTBOT__MODES__0__ENABLED: "false",
+  });
+  assert.equal(config.chatroom.pollSeconds, 45);
+  assert.equal(config.llm.budget.dailyUSD, 1.5);
+  assert.deepEqual(config.targeting.blockedAgents, ["Spammy"]);
+  assert.equal(config.modes[0].enabled, false);
+});
+
+test("an override of the wrong type is caught like a file error", () => {
+  assert.throws(() => loadConfig("moltbot.yaml", { MOLTBOT__SCHEDULE__TICK_SECONDS: "soon" }), /schedule\.tickSeconds: expected a number/);
+});
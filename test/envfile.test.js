@@ -0,0 +1,57 @@
+import { tmpDir } from "./setup.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { mock, test } from "node:test";
+import { readEnvFile, writeEnvValue } from "../lib/envfile.js";
+
+let files = 0;
+function envFile(text) {
+  const file = path.join(tmpDir, `envfile-${++files}`, ".env");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (text != null) fs.writeFileSync(file, text, { mode: 0o640 });
+  return file;
+}
+
+test("sets the value and keeps every other line and comment", () => {
+  const file = envFile("# Moltbook\nOTHER_API_KEY=abc\n\nMY_API_KEY=old # rotated\nANTHROPIC_API_KEY=xyz\n");
+  writeEnvValue(file, "MY_API_KEY", "new");
+  assert.equal(fs.readFileSync(file, "utf8"), "# Moltbook\nOTHER_API_KEY=abc\n\nMY_API_KEY=new\nANTHROPIC_API_KEY=xyz\n");
+});
+
+test("collapses duplicate assignments into one", () => {
+  const file = envFile("MY_API_KEY=first\nOTHER=1\n  MY_API_KEY = second\n");
+  writeEnvValue(file, "MY_API_KEY", "new");
+  assert.equal(fs.readFileSync(file, "utf8"), "MY_API_KEY=new\nOTHER=1\n");
+});
+
+test("replaces an `export NAME=` line and leaves names it only prefixes alone", () => {
+  const file = envFile("export MY_API_KEY=old\nMY_API_KEY_BACKUP=keep\n");
+  writeEnvValue(file, "MY_API_KEY", "new");
+  assert.deepEqual(readEnvFile(file), { MY_API_KEY: "new", MY_API_KEY_BACKUP: "keep" });
+});
+
+test("keeps the file's permissions, and creates a missing one private", () => {
+  const file = envFile("MY_API_KEY=old\n");
+  writeEnvValue(file, "MY_API_KEY", "new");
+  assert.equal(fs.statSync(file).mode & 0o777, 0o640);
+
+  const created = envFile(null);
+  writeEnvValue(created, "MY_API_KEY", "new");
+  assert.equal(fs.readFileSync(created, "utf8"), "MY_API_KEY=new\n");
+  assert.equal(fs.statSync(created).mode & 0o777, 0o600);
+});
+
+test("a failed write leaves the original file and no .env.tmp behind", () => {
+  const file = envFile("MY_API_KEY=old\n");
+  mock.method(fs, "renameSync", () => {
+    throw new Error("disk full");
+  });
+  try {
+    assert.throws(() => writeEnvValue(file, "MY_API_KEY", "new"), /disk full/);
+  } finally {
+    mock.restoreAll();
+  }
+  assert.equal(fs.readFileSync(file, "utf8"), "MY_API_KEY=old\n");
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+});
@@ -0,0 +1,59 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import config from "../config.js";
+import { complete, spend, usageReport } from "../lib/llm.js";
+import * as personas from "../lib/personas.js";
+
+test("the stub answers deterministically and offline", async () => {
+  const prompt = 'TITLE: Agents need shared memory\nWrite a comment.';
+  const first = await complete("comment", { prompt });
+  assert.match(first, /^\[stub\]/);
+  assert.equal(await complete("comment", { prompt }), first);
+  assert.deepEqual(JSON.parse(await complete("critique", { prompt })), { relevance: 8, tone: 8, reason: "[stub] on topic and in voice" });
+});
+
+test("stub posts plug the product of the persona they are written for", async () => {
+  const product = { ...config.product, name: "Key Vault", url: "https://keyvault.example" };
+  config.personas = [{ agentName: "KeyMaster", apiKeyEnv: "KEYMASTER_API_KEY", enabled: true, product }];
+  const prompt = "Write a post for m/agents.";
+  const ours = JSON.parse(await complete("post", { prompt }));
+  const theirs = JSON.parse(await personas.withPersona(personas.get("KeyMaster"), () => complete("post", { prompt })));
+  config.personas = [];
+  assert.match(ours.content, new RegExp(`Try ${config.product.name}: `));
+  assert.match(theirs.content, /Try Key Vault: https:\/\/keyvault\.example /);
+});
+
+test("calls are costed and counted per task", async () => {
+  const before = usageReport().today?.byTask.chat?.calls || 0;
+  await complete("chat", { prompt: "hello" });
+  const today = usageReport().today;
+  assert.equal(today.byTask.chat.calls, before + 1);
+  assert.ok(spend().todayUSD > 0);
+});
+
+test("unknown tasks are refused", async () => {
+  await assert.rejects(complete("poetry", { prompt: "x" }), /Unknown LLM task/);
+});
+
+test("once the daily budget is spent, calls throw BUDGET_EXCEEDED", async () => {
+  config.llm.budget = { dailyUSD: spend().todayUSD + 0.0001 };
+  try {
+    // Each stub call costs a little; a long prompt gets there fast
+    const prompt = "x".repeat(4000);
+    await complete("comment", { prompt });
+    await assert.rejects(complete("comment", { prompt }), (err) => err.code === "BUDGET_EXCEEDED" && /daily LLM budget/.test(err.message));
+  } finally {
+    config.llm.budget = {};
+  }
+  assert.match(await complete("chat", { prompt: "back under budget" }), /^\[stub\]/);
+});
+
+test("the monthly budget is enforced too", async () => {
+  config.llm.budget = { monthlyUSD: 0 };
+  try {
+    await assert.rejects(complete("chat", { prompt: "x" }), (err) => err.code === "BUDGET_EXCEEDED" && /monthly/.test(err.message));
+  } finally {
+    config.llm.budget = {};
+  }
+});
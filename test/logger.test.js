@@ -0,0 +1,65 @@
+import { tmpDir } from "./setup.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { afterEach, beforeEach, mock, test } from "node:test";
+import config from "../config.js";
+import { log, withContext } from "../lib/logger.js";
+
+process.env.TEST_LOGGER_TOKEN = "tok_log_Hq4mZ8rT2vXw6Kp";
+
+const logging = config.logging;
+const file = path.join(tmpDir, "logger", "moltbot.log");
+let lines;
+
+beforeEach(() => {
+  config.logging = { ...logging, level: "info", format: "json", file: { ...logging.file, path: file } };
+  lines = [];
+  // The test runner reports over stdout too; only our lines are kept
+  const write = process.stdout.write.bind(process.stdout);
+  mock.method(process.stdout, "write", (chunk, ...rest) => (typeof chunk === "string" ? lines.push(chunk) > 0 : write(chunk, ...rest)));
+  mock.method(console, "log", (line) => lines.push(line));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  config.logging = logging;
+  config.personas = [];
+});
+
+const entries = () => lines.map((line) => JSON.parse(line));
+
+test("secret values are masked in messages and fields, on the console and in the file", () => {
+  const secret = process.env.TEST_LOGGER_TOKEN;
+  log(`token is ${secret}`, { header: `Bearer ${secret}` });
+  const [entry] = entries();
+  assert.equal(entry.msg, "token is [REDACTED]");
+  assert.doesNotMatch(entry.header, new RegExp(secret));
+  assert.doesNotMatch(fs.readFileSync(file, "utf8"), new RegExp(secret));
+});
+
+test("context fields appear on every JSON line logged inside withContext()", async () => {
+  await withContext({ persona: "KeyMaster", postId: "p-1" }, async () => {
+    await new Promise((r) => setImmediate(r));
+    log("first");
+    await withContext({ draftId: "d-7" }, () => log.warn("second", { extra: 1 }));
+  });
+  log("outside");
+  const [first, second, outside] = entries();
+  assert.deepEqual({ agent: first.agent, postId: first.postId, draftId: first.draftId }, { agent: "KeyMaster", postId: "p-1", draftId: undefined });
+  assert.deepEqual({ agent: second.agent, postId: second.postId, draftId: second.draftId, level: second.level, extra: second.extra }, { agent: "KeyMaster", postId: "p-1", draftId: "d-7", level: "warn", extra: 1 });
+  assert.equal(outside.agent, config.agentName);
+  assert.equal(outside.postId, undefined);
+});
+
+test("text output tags lines with the persona once several run", () => {
+  config.logging.format = "text";
+  config.personas = [{ agentName: "KeyMaster", apiKeyEnv: "KEYMASTER_API_KEY", enabled: true }];
+  withContext({ persona: "KeyMaster" }, () => log("  hello"));
+  assert.match(lines[0], /^\[[^\]]+\] \[KeyMaster\]   hello$/);
+});
+
+test("lines below the configured level are dropped", () => {
+  log.debug("hidden");
+  assert.deepEqual(lines, []);
+});
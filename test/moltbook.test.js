@@ -0,0 +1,72 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import config from "../config.js";
+import { setBaseUrl } from "../lib/api.js";
+import * as personas from "../lib/personas.js";
+import { requestStop } from "../lib/shutdown.js";
+import { openStore } from "../lib/state.js";
+import { mockKey, startMockServer } from "../mock/moltbook.js";
+import * as moltbook from "../strategies/moltbook/index.js";
+
+let mock;
+let instance;
+
+before(async () => {
+  mock = await startMockServer({ agentName: config.agentName });
+  setBaseUrl(mock.apiBase);
+  instance = moltbook.create(config.agentName);
+  await instance.init();
+});
+
+after(() => mock.close());
+
+const followed = async () => (await openStore()).get("moltbook").followedAgents;
+const follows = () => mock.published.filter((item) => item.type === "follow");
+
+async function network() {
+  const finished = [];
+  await instance.run({ networkWithTopAgents: true }, (name) => finished.push(name));
+  return finished;
+}
+
+test("an exhausted follow budget stops following without marking the rest as followed", async () => {
+  config.rateLimits = { follow: { perDay: 1 }, maxQueueMinutes: 1 };
+  await network();
+  assert.equal(follows().length, 1);
+  assert.deepEqual(await followed(), follows().map((f) => f.agent));
+});
+
+test("posting rotates through postSubmolts once per post run, whatever else runs in between", async () => {
+  const { postSubmolts, discovery } = config.moltbook;
+  config.moltbook.discovery = { ...discovery, enabled: false };
+  await instance.run({ createViralPost: true });
+  await instance.run({ upvoteGoodContent: true });
+  await instance.run({ createViralPost: true });
+  config.moltbook.discovery = discovery;
+  // The stub writes the same post twice, so the quality gate drops the second
+  const posts = mock.published.filter((item) => item.type === "post");
+  assert.deepEqual(posts.map((p) => p.submolt), [postSubmolts[0]]);
+  assert.equal((await openStore()).get("moltbook").postRotation, 2);
+});
+
+test("a persona added after startup subscribes and keeps state of its own when first initialized", async () => {
+  config.personas = [{ agentName: "LateJoiner", apiKeyEnv: "LATEJOINER_API_KEY", enabled: true }];
+  process.env.LATEJOINER_API_KEY = mockKey("LateJoiner");
+  const profile = personas.get("LateJoiner");
+  await personas.withPersona(profile, () => moltbook.create("LateJoiner").init());
+  const subscribed = mock.published.filter((item) => item.type === "subscribe" && item.by === "LateJoiner");
+  assert.ok(subscribed.length > 0);
+  assert.ok(subscribed.every((item) => profile.moltbook.subscribeSubmolts.includes(item.submolt)));
+  assert.notEqual(await openStore(profile.state), await openStore());
+  config.personas = [];
+});
+
+test("a shutdown while a follow is queued leaves the strategy to resume", async () => {
+  config.rateLimits = { follow: { minIntervalSeconds: 30 } };
+  setTimeout(requestStop, 200);
+  const finished = await network();
+  assert.deepEqual(finished, []);
+  assert.equal(follows().length, 1);
+  assert.equal((await followed()).length, 1);
+});
@@ -0,0 +1,72 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import config from "../config.js";
+import * as personas from "../lib/personas.js";
+import { openStore } from "../lib/state.js";
+
+const persona = (agentName, fields = {}) => ({ agentName, apiKeyEnv: `${agentName.toUpperCase()}_API_KEY`, enabled: true, ...fields });
+
+afterEach(() => {
+  config.personas = [];
+});
+
+test("other personas inherit the fields they don't set and get their own state file", () => {
+  config.personas = [persona("KeyMaster", { identity: "A security reviewer." })];
+  const keyMaster = personas.get("KeyMaster");
+  assert.equal(keyMaster.identity, "A security reviewer.");
+  assert.deepEqual(keyMaster.product, config.product);
+  assert.notEqual(keyMaster.state.path, config.state.path);
+  assert.match(keyMaster.state.path, /-keymaster\.json$/);
+});
+
+test("find() matches names case-insensitively and lists the choices for an unknown one", () => {
+  config.personas = [persona("KeyMaster", { enabled: false })];
+  assert.equal(personas.find().agentName, config.agentName);
+  assert.equal(personas.find("keymaster").agentName, "KeyMaster");
+  assert.throws(() => personas.find("Nobody"), new RegExp(`expected one of: ${config.agentName}, KeyMaster`));
+});
+
+test("checkPersonas() reports names, keys and state files two personas share", () => {
+  const cfg = {
+    ...config,
+    personas: [
+      persona(config.agentName, { apiKeyEnv: "COPY_API_KEY" }),
+      persona("Twin", { apiKeyEnv: config.apiKeyEnv, state: { path: config.state.path || "data/state.json" } }),
+    ],
+  };
+  const problems = personas.checkPersonas(cfg);
+  assert.equal(problems.length, 3);
+  assert.match(problems[0], /^config\.personas\[0\]\.agentName: .* is already used by config$/);
+  assert.match(problems[1], /^config\.personas\[1\]\.apiKeyEnv: /);
+  assert.match(problems[2], /^config\.personas\[1\]\.state\.path: /);
+  assert.deepEqual(personas.checkPersonas({ ...config, personas: [persona("KeyMaster")] }), []);
+});
+
+test("scoped() keeps one value per persona, created with that persona's state", () => {
+  config.personas = [persona("KeyMaster")];
+  const created = [];
+  const counter = personas.scoped((state) => {
+    created.push(state.path);
+    return { count: 0 };
+  });
+  counter().count++;
+  personas.withPersona(personas.get("KeyMaster"), () => {
+    counter().count += 10;
+    counter().count += 10;
+  });
+  counter().count++;
+  assert.equal(counter().count, 2);
+  assert.equal(personas.withPersona(personas.get("KeyMaster"), () => counter().count), 20);
+  assert.deepEqual(created, [config.state.path, personas.get("KeyMaster").state.path]);
+});
+
+test("each persona's namespaces live in its own store", async () => {
+  config.personas = [persona("KeyMaster")];
+  const primary = await openStore(personas.primary().state);
+  const keyMaster = await openStore(personas.get("KeyMaster").state);
+  primary.set("persona-test", { agent: config.agentName });
+  keyMaster.set("persona-test", { agent: "KeyMaster" });
+  assert.deepEqual(primary.get("persona-test"), { agent: config.agentName });
+  assert.deepEqual(keyMaster.get("persona-test"), { agent: "KeyMaster" });
+});
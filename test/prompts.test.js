@@ -0,0 +1,62 @@
+import { tmpDir } from "./setup.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { before, test } from "node:test";
+import config from "../config.js";
+import { checkPrompts, pick, render, variants } from "../lib/prompts.js";
+
+const dir = path.join(tmpDir, "prompts");
+
+const write = (name, text) => fs.writeFileSync(path.join(dir, `${name}.yaml`), text);
+
+before(() => {
+  fs.mkdirSync(dir);
+  for (const name of ["comment", "reply", "post"]) fs.copyFileSync(path.join("prompts", `${name}.yaml`), path.join(dir, `${name}.yaml`));
+  config.prompts = { dir };
+});
+
+test("unknown placeholders and zero total weight are reported", () => {
+  write("reply", `variants:
+  v1: { weight: 0, template: "{{nonsense}}" }
+`);
+  const [problem] = checkPrompts();
+  assert.match(problem, /unknown placeholder \{\{nonsense\}\}/);
+  assert.match(problem, /at least one variant needs a weight above 0/);
+  fs.copyFileSync(path.join("prompts", "reply.yaml"), path.join(dir, "reply.yaml"));
+});
+
+test("the shipped prompt files are valid", () => {
+  assert.deepEqual(checkPrompts(), []);
+});
+
+test("variants are picked in proportion to their weights, never at weight 0", () => {
+  write("post", `variants:
+  heavy: { weight: 3, template: "A {{submolt}}" }
+  light: { weight: 1, template: "B {{submolt}}" }
+  retired: { weight: 0, template: "C {{submolt}}" }
+`);
+  const counts = { "post/heavy": 0, "post/light": 0, "post/retired": 0 };
+  for (let i = 0; i < 4000; i++) counts[pick("post")]++;
+  assert.equal(counts["post/retired"], 0);
+  const share = counts["post/heavy"] / 4000;
+  assert.ok(share > 0.7 && share < 0.8, `heavy picked ${share}`);
+});
+
+test("a retired variant still renders, with persona and product filled in", () => {
+  const text = render("post/retired", { submolt: "agents", trending: "", learning: "", feedback: "" });
+  assert.equal(text, "C agents");
+  write("post", `variants:
+  v1: { template: "{{agentName}} on m/{{submolt}} about {{productName}}" }
+`);
+  assert.equal(render("post/v1", { submolt: "agents" }), `${config.agentName} on m/agents about ${config.product.name}`);
+});
+
+test("a broken edit keeps the last good variants", () => {
+  const good = variants("comment");
+  const file = path.join(dir, "comment.yaml");
+  write("comment", "variants: {}\n");
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(file, later, later);
+  assert.deepEqual(variants("comment"), good);
+});
@@ -0,0 +1,61 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import config from "../config.js";
+import { gate, mostSimilar, remember } from "../lib/quality.js";
+
+const subject = 'm/agents post "Shared memory for agents": how should agents share state?';
+const draftOf = (...texts) => {
+  const feedback = [];
+  return {
+    feedback,
+    draft: (note) => {
+      feedback.push(note);
+      return texts[Math.min(feedback.length - 1, texts.length - 1)];
+    },
+  };
+};
+
+test("a draft that passes length, novelty and the stub critique goes through first time", async () => {
+  const text = "Shared state is the easy part; agreeing on who may overwrite what is where every design I have seen falls apart.";
+  const { draft, feedback } = draftOf(text);
+  assert.equal(await gate("comment", { subject, draft }), text);
+  assert.deepEqual(feedback, [null]);
+});
+
+test("a too-short draft is retried with the reason as feedback", async () => {
+  const good = "Version every write and let readers pick a snapshot; it costs a little storage and saves a lot of arguments.";
+  const { draft, feedback } = draftOf("Nice.", good);
+  assert.equal(await gate("comment", { subject, draft }), good);
+  assert.match(feedback[1], /too short/);
+});
+
+test("a near-copy of something published is rejected, and dropped after maxAttempts", async () => {
+  const published = "Agents should keep a shared scratchpad with per-key owners, so two of them never fight over the same note.";
+  remember(published);
+  assert.ok(mostSimilar(published).score > 0.9);
+  const { draft, feedback } = draftOf(published);
+  assert.equal(await gate("comment", { subject, draft }), null);
+  assert.equal(feedback.length, config.quality.maxAttempts);
+  assert.match(feedback[1], /too similar/);
+});
+
+test("a low critique score rejects the draft", async () => {
+  config.quality.minRelevance = 9;
+  try {
+    const { draft, feedback } = draftOf("Memory is a coordination problem wearing a storage costume, and the fixes look very different.");
+    assert.equal(await gate("comment", { subject, draft }), null);
+    assert.match(feedback[1], /off-topic \(relevance 8 < 9\)/);
+  } finally {
+    config.quality.minRelevance = 6;
+  }
+});
+
+test("with the gate disabled the first draft is returned as is", async () => {
+  config.quality.enabled = false;
+  try {
+    assert.equal(await gate("comment", { subject, draft: () => "ok" }), "ok");
+  } finally {
+    config.quality.enabled = true;
+  }
+});
@@ -0,0 +1,40 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import config from "../config.js";
+import * as relationships from "../lib/relationships.js";
+
+const us = config.agentName;
+const comment = (name) => ({ author: { name } });
+
+test("each author gets perDay interactions in 24 hours", () => {
+  const { perDay } = config.moltbook.relationships;
+  for (let i = 0; i < perDay; i++) {
+    assert.equal(relationships.check("Chatty"), null);
+    relationships.record("Chatty", { kind: "comment", postId: `p-${i}` });
+  }
+  assert.match(relationships.check("Chatty"), /daily limit reached/);
+  assert.match(relationships.check("chatty"), /daily limit reached/, "names match case-insensitively");
+  assert.equal(relationships.check("SomeoneElse"), null);
+});
+
+test("a thread alternating between us and one agent is a reply loop", () => {
+  const chain = [comment("Echo"), comment(us), comment("Echo"), comment(us), comment("Echo")];
+  assert.equal(relationships.check("Echo", { chain }), "reply loop");
+  assert.equal(relationships.check("Echo"), null, "check() alone doesn't back off");
+  assert.equal(relationships.report().backoffs.echo, undefined);
+
+  assert.equal(relationships.allowed("Echo", { chain }), false);
+  assert.match(relationships.check("Echo"), /backing off until/);
+  assert.ok(relationships.report().backoffs.echo);
+});
+
+test("a thread with other voices in it is not a loop", () => {
+  const chain = [comment("Parrot"), comment(us), comment("Someone"), comment(us), comment("Parrot")];
+  assert.equal(relationships.check("Parrot", { chain }), null);
+});
+
+test("unknown authors are never limited", () => {
+  assert.equal(relationships.check("unknown"), null);
+  assert.equal(relationships.check(null), null);
+});
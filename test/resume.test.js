@@ -0,0 +1,76 @@
+import { tmpDir } from "./setup.js";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import config from "../config.js";
+import { createClient, setBaseUrl } from "../lib/api.js";
+import { openStore } from "../lib/state.js";
+import { startMockServer } from "../mock/moltbook.js";
+
+let mock;
+
+before(async () => {
+  mock = await startMockServer({ agentName: config.agentName });
+  setBaseUrl(mock.apiBase);
+});
+
+after(() => mock.close());
+
+// Starts bot.js on `statePath` and stops it with SIGTERM once a cycle completes
+function runBotUntilCycle(statePath) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["bot.js"], {
+      cwd: new URL("..", import.meta.url),
+      env: {
+        ...process.env,
+        MOLTBOOK_BASE_URL: mock.apiBase,
+        [config.apiKeyEnv]: "mock-key",
+        MOLTBOT__STATE__BACKEND: "json",
+        MOLTBOT__STATE__PATH: statePath,
+        MOLTBOT__LOGGING__LEVEL: "info",
+        MOLTBOT__CHATROOM__ENABLED: "false",
+        MOLTBOT__ADMIN__ENABLED: "false",
+        MOLTBOT__SCHEDULE__TICK_SECONDS: "3600",
+      },
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+    const timer = setTimeout(() => child.kill("SIGTERM"), 30000);
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (/CYCLE \d+ COMPLETE/.test(output)) child.kill("SIGTERM");
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(output);
+      else reject(new Error(`bot.js exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+test("the next start finishes an interrupted verification and the rest of an interrupted cycle", async () => {
+  // A post that went out, but whose verification a shutdown kept from being sent
+  const response = await createClient({ apiKey: "mock-key" }).createPost("general", "Left unverified", "Published just before the restart.");
+  const item = { type: "post", postId: response.post.id, submolt: "general", title: "Left unverified", content: "Published just before the restart." };
+
+  const statePath = path.join(tmpDir, "resume", "state.json");
+  const store = await openStore({ backend: "json", path: statePath });
+  store.set("moltbook", { pendingVerifications: [{ item, verification: response.verification, draftId: null }] });
+  const mode = config.modes.find((m) => m.module === "moltbook");
+  store.set("cycle", { count: 3, current: { number: 4, startedAt: new Date().toISOString(), remaining: [`${config.agentName}/${mode.name}/bootstrapMemory`] } });
+  store.close();
+
+  const output = await runBotUntilCycle(statePath);
+  assert.match(output, /Cycle 4 was interrupted .* resuming .*bootstrapMemory/);
+  assert.match(output, /CYCLE 4 \(resumed\)[^]*BOOTSTRAPPING MEMORY[^]*CYCLE 4 COMPLETE/);
+
+  assert.equal(mock.published.find((p) => p.id === item.postId).verified, true);
+  assert.equal(mock.published.filter((p) => p.type === "post").length, 1);
+
+  const restarted = await openStore({ backend: "json", path: statePath });
+  const saved = restarted.get("moltbook");
+  assert.deepEqual(saved.pendingVerifications, []);
+  assert.ok(saved.memory.ourPosts.some((p) => p.id === item.postId));
+  assert.deepEqual(restarted.get("cycle"), { count: 4, current: null });
+});
@@ -0,0 +1,46 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkTimezone, nextCron, parseCron } from "../lib/schedule.js";
+
+const at = (iso) => Date.parse(iso);
+const next = (expr, after, tz = "UTC") => new Date(nextCron(expr, at(after), tz)).toISOString();
+
+test("fields accept *, values, ranges, steps and lists", () => {
+  const cron = parseCron("*/15 9-17 1,15 * 1-5");
+  assert.deepEqual([...cron.minute.values], [0, 15, 30, 45]);
+  assert.equal(cron.hour.values.size, 9);
+  assert.deepEqual([...cron.day.values], [1, 15]);
+  assert.equal(cron.month.any, true);
+  assert.deepEqual([...parseCron("0 0 * * 7").weekday.values], [0]);
+});
+
+test("malformed expressions are refused", () => {
+  assert.throws(() => parseCron("* * * *"), /needs 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /out of range/);
+  assert.throws(() => parseCron("5-1 * * * *"), /out of range/);
+  assert.throws(() => parseCron("a * * * *"), /invalid minute field/);
+});
+
+test("the next run is the first matching minute strictly after", () => {
+  assert.equal(next("0 9 * * *", "2026-10-19T08:59:30Z"), "2026-10-19T09:00:00.000Z");
+  assert.equal(next("0 9 * * *", "2026-10-19T09:00:00Z"), "2026-10-20T09:00:00.000Z");
+  assert.equal(next("30 */6 * * *", "2026-10-19T07:00:00Z"), "2026-10-19T12:30:00.000Z");
+  assert.equal(next("0 0 1 1 *", "2026-10-19T00:00:00Z"), "2027-01-01T00:00:00.000Z");
+});
+
+test("day-of-month and weekday match either way when both are set", () => {
+  // 2026-10-19 is a Monday; the 25th is a Sunday
+  assert.equal(next("0 12 25 * 3", "2026-10-19T13:00:00Z"), "2026-10-21T12:00:00.000Z");
+  assert.equal(next("0 12 * * 0", "2026-10-19T13:00:00Z"), "2026-10-25T12:00:00.000Z");
+});
+
+test("times are read in the schedule's timezone", () => {
+  assert.equal(next("0 9 * * *", "2026-10-19T00:00:00Z", "America/New_York"), "2026-10-19T13:00:00.000Z");
+  assert.equal(checkTimezone("Europe/Berlin"), true);
+  assert.equal(checkTimezone("Mars/Olympus"), false);
+});
+
+test("an expression that can never match is reported", () => {
+  assert.throws(() => nextCron("0 0 31 2 *", at("2026-01-01T00:00:00Z"), "UTC"), /never matches/);
+});
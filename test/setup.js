@@ -0,0 +1,25 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// --- Offline test setup ---
+//
+// Imported first by every test file, before anything loads config.js: state
+// stays in memory, the LLM is the stub provider and whatever else the bot
+// writes goes to a temp directory removed on exit.
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "moltbot-test-"));
+process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  MOLTBOT__STATE__BACKEND: "memory",
+  MOLTBOT__LLM__PROVIDER: "stub",
+  MOLTBOT__LOGGING__LEVEL: "warn",
+  MOLTBOT__LOGGING__FILE__PATH: path.join(dir, "moltbot.log"),
+  MOLTBOT__APPROVAL__QUEUE_PATH: path.join(dir, "approvals.json"),
+  MOLTBOT__INJECTION__QUARANTINE_PATH: path.join(dir, "quarantine.jsonl"),
+  MOLTBOT__SOLVER__CORPUS_PATH: path.join(dir, "challenges.jsonl"),
+  MOLTBOT__RATE_LIMITS: "{}",
+});
+
+export const tmpDir = dir;
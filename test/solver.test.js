@@ -0,0 +1,33 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import config from "../config.js";
+import { parseChallenge, readCorpus } from "../lib/solver.js";
+
+const corpus = readCorpus("corpus/challenges.jsonl").filter((e) => e.expected != null);
+
+test("the seed corpus is never answered confidently and wrong", () => {
+  assert.ok(corpus.length >= 20);
+  for (const { challenge, expected } of corpus) {
+    const parsed = parseChallenge(challenge);
+    if (parsed.confidence >= config.solver.minConfidence) assert.equal(parsed.answer, expected, challenge);
+  }
+});
+
+test("most of the seed corpus is answered without the LLM", () => {
+  const confident = corpus.filter(({ challenge, expected }) => {
+    const parsed = parseChallenge(challenge);
+    return parsed.confidence >= config.solver.minConfidence && parsed.answer === expected;
+  });
+  assert.ok(confident.length / corpus.length >= 0.8, `${confident.length}/${corpus.length}`);
+});
+
+test("obfuscated number words are rebuilt", () => {
+  const parsed = parseChallenge("A  LObst~ER  swiMs  At  ttWeNTY  thR eE  ME ters  PPEr  SE<c<OnD{  a]ndd  accEleRates  By  seevENN");
+  assert.deepEqual(parsed.numbers, [23, 7]);
+  assert.equal(parsed.answer, "30.00");
+});
+
+test("text without numbers gets no answer", () => {
+  assert.deepEqual(parseChallenge("what is the answer"), { numbers: [], steps: [], answer: null, confidence: 0 });
+});
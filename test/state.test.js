@@ -0,0 +1,44 @@
+import { tmpDir } from "./setup.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { migrate, openStore } from "../lib/state.js";
+
+test("the json backend writes the same document JSON.stringify would", async () => {
+  const file = path.join(tmpDir, "json", "state.json");
+  const store = await openStore({ backend: "json", path: file });
+  store.set("moltbook", { posts: [{ id: "p-1", title: "two\nlines" }] });
+  store.set("llm", { days: {} });
+  const text = fs.readFileSync(file, "utf8");
+  assert.equal(text, JSON.stringify(JSON.parse(text), null, 2));
+  assert.deepEqual(JSON.parse(text).namespaces.llm, { days: {} });
+  store.close();
+});
+
+test("a namespace's unsaved changes stay out of another namespace's write", async () => {
+  const file = path.join(tmpDir, "partial", "state.json");
+  const store = await openStore({ backend: "json", path: file });
+  const analytics = { karma: [1] };
+  store.set("analytics", analytics);
+  analytics.karma.push(2);
+  store.set("llm", { days: {} });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).namespaces.analytics, { karma: [1] });
+  store.close();
+});
+
+test("a read-only store creates nothing and keeps writes in memory", async () => {
+  for (const backend of ["json", "sqlite"]) {
+    const dir = path.join(tmpDir, `readonly-${backend}`);
+    const store = await openStore({ backend, path: path.join(dir, "state"), readOnly: true });
+    store.set("moltbook", { ok: true });
+    assert.deepEqual(store.get("moltbook"), { ok: true });
+    assert.equal(fs.existsSync(dir), false);
+    store.close();
+  }
+});
+
+test("unversioned documents are migrated", () => {
+  assert.deepEqual(migrate({ memory: {} }), { version: 1, namespaces: { moltbook: { memory: {} } } });
+  assert.throws(() => migrate({ version: 99 }), /newer than supported/);
+});
@@ -0,0 +1,31 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import * as submolts from "../lib/submolts.js";
+import { vetSubmolt } from "../lib/targeting.js";
+
+const DESCRIPTIONS = {
+  quiet: "Humans only. No bots, please.",
+  pitches: "Pitch and critique startup ideas. No self-promotion: talk about their idea, not yours.",
+  agents: "Everything about AI agents.",
+};
+const api = { getSubmolt: async (name) => ({ submolt: { name, description: DESCRIPTIONS[name] || "" } }) };
+
+test("a submolt's description can turn bots or promotion away", async () => {
+  assert.match((await vetSubmolt("quiet", api)).skip, /no bots wanted \("no bots" in m\/quiet's description\)/);
+  assert.deepEqual(await vetSubmolt("pitches", api), { promote: false, reason: "no promotion wanted (\"no self-promotion\" in m/pitches's description)" });
+  assert.deepEqual(await vetSubmolt("agents", api), { promote: true });
+});
+
+test("opted-out submolts leave the ranking: no bots always, no promotion only for posts", async () => {
+  await submolts.load();
+  const seeds = ["quiet", "pitches", "agents"];
+  const names = (options) => submolts.rank({ seeds, ...options }).map((s) => s.name).sort();
+  assert.deepEqual(names(), ["agents", "pitches", "quiet"]);
+
+  submolts.optedOut("quiet", { noBots: true, reason: "no bots wanted" });
+  submolts.optedOut("pitches", { noBots: false, reason: "no promotion wanted" });
+  assert.deepEqual(names(), ["agents", "pitches"]);
+  assert.deepEqual(names({ posting: true }), ["agents"]);
+  assert.equal(submolts.pick(submolts.rank({ seeds, posting: true })).name, "agents");
+});
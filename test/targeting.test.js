@@ -0,0 +1,80 @@
+import "./setup.js";
+import assert from "node:assert/strict";
+import { beforeEach, mock, test } from "node:test";
+import config from "../config.js";
+import * as targeting from "../lib/targeting.js";
+
+// Descriptions served by the stub client, and the lookups it saw
+const profiles = {};
+const submoltDescriptions = {};
+let lookups = [];
+
+const api = {
+  getAgentProfile: async (name) => {
+    lookups.push(`agent:${name}`);
+    return { agent: { name, description: profiles[name] || "" } };
+  },
+  getSubmolt: async (name) => {
+    lookups.push(`submolt:${name}`);
+    return { submolt: { name, description: submoltDescriptions[name] || "" } };
+  },
+};
+
+beforeEach(() => {
+  lookups = [];
+  config.targeting = {
+    enabled: true,
+    blockedAgents: ["SpamLord"],
+    blockedSubmolts: ["casino"],
+    sensitiveTopics: { grief: ["passed away"] },
+    optOut: { checkProfiles: true, noBots: ["bots", "no bots"], noPromotion: ["no promo"] },
+  };
+});
+
+const post = (fields) => ({ id: "p-1", title: "", content: "", author: { name: "Someone" }, submolt: { name: "general" }, ...fields });
+
+test("terms match whole words only", async () => {
+  assert.deepEqual(await targeting.vet(post({ title: "Robots are taking over" }), api), { promote: true });
+  assert.match((await targeting.vet(post({ title: "Bots, please stay out" }), api)).skip, /"bots" in the post/);
+  assert.match((await targeting.vet(post({ content: "Our friend   PASSED\nAWAY" }), api)).skip, /sensitive topic grief/);
+});
+
+test("blocked agents and submolts are skipped even with targeting off", async () => {
+  config.targeting.enabled = false;
+  assert.deepEqual(await targeting.vet(post({ author: { name: "spamlord" } }), api), { skip: "spamlord is blocked" });
+  assert.deepEqual(await targeting.vet(post({ submolt: "Casino" }), api), { skip: "m/Casino is blocked" });
+  assert.deepEqual(await targeting.vetSubmolt("casino", api), { skip: "m/casino is blocked" });
+  assert.deepEqual(await targeting.vet(post({ title: "no bots" }), api), { promote: true });
+  assert.deepEqual(lookups, []);
+});
+
+test("asking for no promotion allows a comment without the product", async () => {
+  profiles.QuietAuthor = "Happy to chat. No promo, please.";
+  assert.deepEqual(await targeting.vet(post({ author: { name: "QuietAuthor" } }), api), { promote: false });
+  submoltDescriptions.quietplace = "A calm corner. no promo";
+  assert.deepEqual(await targeting.vetSubmolt("quietplace", api), { promote: false, reason: `no promotion wanted ("no promo" in m/quietplace's description)` });
+});
+
+test("a profile or submolt asking for no bots is skipped", async () => {
+  profiles.HumanOnly = "Writer. No bots in my replies.";
+  assert.match((await targeting.vet(post({ author: { name: "HumanOnly" } }), api)).skip, /HumanOnly's profile/);
+  submoltDescriptions.humansonly = "bots keep out";
+  assert.match((await targeting.vetSubmolt("humansonly", api)).skip, /m\/humansonly's description/);
+});
+
+test("descriptions are looked up once a day", async () => {
+  submoltDescriptions.cached = "Anything goes";
+  assert.deepEqual(await targeting.vetSubmolt("cached", api), { promote: true });
+  submoltDescriptions.cached = "no bots";
+  assert.deepEqual(await targeting.vetSubmolt("cached", api), { promote: true });
+  assert.deepEqual(lookups, ["submolt:cached"]);
+
+  const now = Date.now();
+  mock.method(Date, "now", () => now + 24 * 60 * 60 * 1000 + 1);
+  try {
+    assert.ok((await targeting.vetSubmolt("cached", api)).skip);
+  } finally {
+    mock.restoreAll();
+  }
+  assert.deepEqual(lookups, ["submolt:cached", "submolt:cached"]);
+});